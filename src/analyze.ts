@@ -0,0 +1,185 @@
+import type { MetadataObject } from './banner'
+import type { MetadataIssue } from './validate'
+
+export interface GrantAnalysis {
+  /** The `@grant` values needed by the code */
+  grant: string[]
+  /** The hosts found in requests made by the code, for use with `@connect` */
+  connect: string[]
+}
+
+export interface GrantInference {
+  /** The metadata with the needed `@grant` and `@connect` values added */
+  metadata: MetadataObject
+  /** Values that are declared in the metadata but were never found in the code */
+  warnings: MetadataIssue[]
+}
+
+/** GreaseTools functions and the grants that they use */
+const functionGrants: Record<string, readonly string[]> = {
+  acquireLock: ['GM.getValue', 'GM.setValue', 'GM.deleteValue'],
+  createCache: [
+    'GM.getValue',
+    'GM.setValue',
+    'GM.deleteValue',
+    'GM.listValues',
+  ],
+  createClient: ['GM.xmlHttpRequest'],
+  createScheduler: ['GM.xmlHttpRequest'],
+  deleteValue: ['GM.deleteValue'],
+  gmFetch: ['GM.xmlHttpRequest'],
+  getAllValues: ['GM.getValue', 'GM.listValues'],
+  getValues: ['GM.getValue', 'GM.setValue'],
+  updateValue: ['GM.getValue', 'GM.setValue', 'GM.deleteValue'],
+  valuesGetProxy: ['GM.getValue'],
+  valuesProxy: ['GM.setValue'],
+  withLock: ['GM.getValue', 'GM.setValue', 'GM.deleteValue'],
+  xhrPromise: ['GM.xmlHttpRequest'],
+  xhrStream: ['GM.xmlHttpRequest'],
+}
+
+/** Functions that make requests, checked for literal URLs */
+const requestFunctions = [
+  'xhrPromise',
+  'xhrStream',
+  'GM.xmlHttpRequest',
+  'GM_xmlhttpRequest',
+]
+
+/** GM properties that don't need a grant */
+const ungranted = new Set(['GM.info', 'GM_info'])
+
+const toValues = (value: MetadataObject[string]): string[] =>
+  !value || value === true
+    ? []
+    : typeof value === 'string'
+    ? [value]
+    : (value.filter(val => val) as string[])
+
+/**
+ * Scan code for the grants and hosts that it needs.
+ * Finds calls to `GM.*` and `GM_*` functions, calls to GreaseTools functions that need grants,
+ * uses of `unsafeWindow`, and literal URLs passed to `xhrPromise`, `gmFetch` or `GM.xmlHttpRequest`.
+ * URLs that are built at runtime can't be found, and names in strings and comments aren't counted.
+ * GreaseTools' own code refers to every grant that it can use, so it shouldn't be included
+ *
+ * @param code The code to scan, such as the modules of a UserScript
+ * @returns The grants and hosts found
+ *
+ * @example
+ * ```typescript
+ * const { grant, connect } = analyzeGrants(`
+ *   const values = await getValues({ hello: 'World!' })
+ *   await xhrPromise({ method: 'GET', url: 'https://example.com/api' })
+ * `)
+ *
+ * console.log(grant) // Logs ['GM.getValue', 'GM.setValue', 'GM.xmlHttpRequest']
+ * console.log(connect) // Logs ['example.com']
+ * ```
+ */
+export function analyzeGrants(code: string): GrantAnalysis {
+  // Remove block comments and full-line comments so that docs aren't counted
+  code = code.replace(/\/\*[\s\S]*?\*\//g, '').replace(/^\s*\/\/.*$/gm, '')
+
+  // Remove strings too when looking for grants, so that names in text aren't counted.
+  // URLs are still found in the strings
+  const withoutStrings = code.replace(
+    /'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\[\s\S]|[^`\\])*`/g,
+    "''",
+  )
+
+  const grant = new Set<string>()
+  const connect = new Set<string>()
+
+  // Matches calls such as `GM.getValue(`, `GM_getValue?.(`
+  // and `(0, greasetools_1.getValues)(` from transpiled imports
+  const call = '\\s*\\)?\\s*(?:\\?\\.)?\\s*\\('
+
+  for (const [, name] of withoutStrings.matchAll(
+    new RegExp(`\\b(GM(?:\\.|_)[A-Za-z]+)${call}`, 'g'),
+  )) {
+    if (!ungranted.has(name)) grant.add(name)
+  }
+
+  if (/\bunsafeWindow\b/.test(withoutStrings)) grant.add('unsafeWindow')
+
+  for (const [name, grants] of Object.entries(functionGrants)) {
+    if (new RegExp(`\\b${name}${call}`).test(withoutStrings))
+      for (const needed of grants) grant.add(needed)
+  }
+
+  for (const name of requestFunctions) {
+    const escaped = name.replace('.', '\\.')
+    // Matches the host of a literal url property in the first argument,
+    // allowing for escaped quotes in eval'd code
+    const request = new RegExp(
+      `\\b${escaped}\\s*\\)?\\s*\\(\\s*\\{[^}]*?\\burl\\s*:\\s*\\\\?['"\`]https?:\\/\\/([^/'"\`\\\\:?#$]+)`,
+      'g',
+    )
+    for (const [, host] of code.matchAll(request)) connect.add(host)
+  }
+
+  // Matches the host of a literal URL passed as the first argument to gmFetch
+  const fetchRequest =
+    /\bgmFetch\s*\)?\s*\(\s*\\?['"`]https?:\/\/([^/'"`\\:?#$]+)/g
+  for (const [, host] of code.matchAll(fetchRequest)) connect.add(host)
+
+  return { grant: [...grant].sort(), connect: [...connect].sort() }
+}
+
+/**
+ * Add the `@grant` and `@connect` values needed by code to a metadata object.
+ * Declared values that were never found in the code are reported as warnings
+ *
+ * @param code The code to scan, such as the modules of a UserScript
+ * @param metaValues The metadata to add the values to, such as the object passed to `genBanner`
+ * @returns The new metadata and any warnings
+ * @see {@link analyzeGrants}
+ *
+ * @example
+ * ```typescript
+ * const { metadata, warnings } = inferGrants(bundle, {
+ *   name: 'Example',
+ *   grant: 'GM.notification',
+ * })
+ *
+ * console.log(genBanner(metadata))
+ * for (const warning of warnings) console.warn(warning.message)
+ * ```
+ */
+export function inferGrants(
+  code: string,
+  metaValues: MetadataObject,
+): GrantInference {
+  const needed = analyzeGrants(code)
+  const warnings: MetadataIssue[] = []
+
+  const merge = (key: 'grant' | 'connect') => {
+    const declared = toValues(metaValues[key])
+
+    for (const value of declared) {
+      if (value !== 'none' && !needed[key].includes(value))
+        warnings.push({
+          key,
+          message: `@${key} is declared but never used`,
+          value,
+        })
+    }
+
+    const merged = [...new Set([...declared, ...needed[key]])]
+    // @grant none can't be combined with other grants
+    return merged.length > 1 ? merged.filter(value => value !== 'none') : merged
+  }
+
+  const grant = merge('grant')
+  const connect = merge('connect')
+
+  return {
+    metadata: {
+      ...metaValues,
+      grant: grant.length ? grant : undefined,
+      connect: connect.length ? connect : undefined,
+    },
+    warnings,
+  }
+}
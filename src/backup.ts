@@ -0,0 +1,244 @@
+import { GrantOptions } from './grants'
+import { defaultBackend, Serializer, StorageBackend } from './storage'
+import { isInternal, namespaceKeys, prefixKey, serialization } from './utils'
+import type { NestedValue } from './values'
+
+/** Exported values that can be imported with `importValues` */
+export interface ValuesBundle {
+  format: 'greasetools-values'
+  /** The version of the bundle format */
+  version: 1
+  /** The ID that the values were exported from, if any */
+  id?: string
+  /** When the bundle was created, as an ISO 8601 string */
+  created: string
+  /**
+   * The exported values, with keys not including the ID prefix.
+   * Keys that migrations and locks are stored under aren't included
+   */
+  values: Record<string, GM.Value>
+}
+
+export interface BackupOptions extends GrantOptions {
+  /** Where values are stored. Defaults to the same backend as other values functions */
+  backend?: StorageBackend
+  /** How to convert values to strings for backends that can only store strings */
+  serializer?: Serializer
+}
+
+export interface ImportOptions extends BackupOptions {
+  /** The ID to import values into. Defaults to the ID the bundle was exported from */
+  id?: string
+  /**
+   * How to import the values. `'merge'` keeps existing values that aren't in the bundle,
+   * and `'replace'` deletes them. Defaults to `'merge'`
+   */
+  mode?: 'merge' | 'replace'
+  /**
+   * What to do with existing values that differ from the bundle.
+   * Defaults to `'overwrite'`
+   */
+  conflicts?: 'overwrite' | 'keep'
+  /**
+   * Default values to check the bundle against before anything is written.
+   * Every imported key must be in the defaults and have the same type as its default
+   */
+  defaults?: Record<string, NestedValue>
+}
+
+export interface ImportConflict {
+  key: string
+  /** The value that was already stored */
+  existing: GM.Value
+  /** The value from the bundle */
+  imported: GM.Value
+}
+
+export interface ImportResult {
+  /** Keys that were written */
+  written: string[]
+  /** Keys that were deleted because they weren't in the bundle */
+  deleted: string[]
+  /** Existing values that differed from the bundle */
+  conflicts: ImportConflict[]
+}
+
+/** Thrown when a bundle doesn't match the defaults passed to `importValues` */
+export class ValuesImportError extends Error {
+  constructor(
+    /** The keys that didn't match and the reason for each */
+    public readonly issues: { key: string; reason: string }[],
+  ) {
+    super(
+      `Values bundle doesn't match the defaults:\n${issues
+        .map(({ key, reason }) => `  ${key}: ${reason}`)
+        .join('\n')}`,
+    )
+    this.name = 'ValuesImportError'
+  }
+}
+
+/** Get the type of a value for comparing with a default */
+const typeOf = (value: unknown) =>
+  Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value
+
+/**
+ * Check that a value has the same type as its default.
+ * Arrays and objects are stored as JSON, so they are parsed first
+ */
+function checkType(value: GM.Value, defaultValue: NestedValue) {
+  const expected = typeOf(defaultValue)
+  let actual = typeOf(value)
+
+  if (actual === 'string' && (expected === 'array' || expected === 'object')) {
+    try {
+      actual = typeOf(JSON.parse(value as string))
+    } catch {}
+  }
+
+  return actual === expected ? undefined : `Expected ${expected}, got ${actual}`
+}
+
+/** Check that an ID is used with backends shared with the page, so that the page's data is left alone */
+function checkShared(backend: StorageBackend, id: string | undefined) {
+  if (backend.shared && !id)
+    throw TypeError(
+      'An ID is required to export or import values in storage shared with the page, such as the localStorage fallback',
+    )
+}
+
+/**
+ * Requires the `GM.getValue` and `GM.listValues` grants or falls back to localStorage.
+ * Export stored values to a bundle that can be saved as JSON and imported with `importValues`
+ *
+ * @param id An optional unique identifier to only export the values under.
+ * Exports every value if not provided.
+ * Required with backends shared with the page, such as the localStorage fallback
+ * @param options Other options, such as the storage backend to use
+ * @returns A Promise that resolves with the bundle,
+ * or rejects with a `TypeError` if an ID is needed but wasn't provided
+ * @example
+ * ```typescript
+ * const bundle = await exportValues('myconfig')
+ * const json = JSON.stringify(bundle)
+ * ```
+ */
+export async function exportValues(
+  id?: string,
+  options: BackupOptions = {},
+): Promise<ValuesBundle> {
+  const backend =
+    options.backend ??
+    defaultBackend(
+      'exportValues',
+      ['getValue', 'listValues'],
+      options.grantPolicy,
+    )
+  checkShared(backend, id)
+  const { fromStored } = serialization(backend, options.serializer)
+
+  const values: Record<string, GM.Value> = {}
+  for (const key of await namespaceKeys(backend, id)) {
+    const value = await backend.get(prefixKey(key, id))
+    if (value !== undefined) values[key] = fromStored(value)
+  }
+
+  return {
+    format: 'greasetools-values',
+    version: 1,
+    id,
+    created: new Date().toISOString(),
+    values,
+  }
+}
+
+/**
+ * Requires the `GM.getValue`, `GM.setValue`, `GM.deleteValue` and `GM.listValues` grants
+ * or falls back to localStorage.
+ * Import values from a bundle created by `exportValues`.
+ * If `defaults` are passed, the whole bundle is checked before anything is written.
+ * With backends shared with the page, such as the localStorage fallback,
+ * the bundle must have an ID or one must be passed
+ *
+ * @param bundle The bundle, or the bundle as a JSON string
+ * @param options Other options, such as how to handle existing values
+ * @returns A Promise that resolves with the keys that were written and deleted,
+ * and the conflicts with existing values,
+ * or rejects with a `TypeError` if an ID is needed but wasn't provided
+ * @example
+ * ```typescript
+ * const result = await importValues(json, {
+ *   mode: 'merge',
+ *   conflicts: 'keep',
+ *   defaults: { theme: 'light', volume: 50 },
+ * })
+ *
+ * for (const { key } of result.conflicts) console.log(`Kept existing value for ${key}`)
+ * ```
+ */
+export async function importValues(
+  bundle: ValuesBundle | string,
+  options: ImportOptions = {},
+): Promise<ImportResult> {
+  if (typeof bundle === 'string') bundle = JSON.parse(bundle) as ValuesBundle
+  if (bundle?.format !== 'greasetools-values' || bundle.version !== 1)
+    throw TypeError('Unsupported values bundle')
+
+  // Migration versions and locks aren't values, so they're ignored if a bundle has them
+  const entries = Object.entries(bundle.values).filter(
+    ([key]) => !isInternal(key),
+  )
+
+  const {
+    id = bundle.id,
+    mode = 'merge',
+    conflicts: onConflict = 'overwrite',
+    defaults,
+  } = options
+
+  if (defaults) {
+    const issues: { key: string; reason: string }[] = []
+    for (const [key, value] of entries) {
+      const reason =
+        key in defaults ? checkType(value, defaults[key]) : 'Unknown key'
+      if (reason) issues.push({ key, reason })
+    }
+    if (issues.length) throw new ValuesImportError(issues)
+  }
+
+  const backend =
+    options.backend ??
+    defaultBackend(
+      'importValues',
+      ['getValue', 'setValue', 'deleteValue', 'listValues'],
+      options.grantPolicy,
+    )
+  checkShared(backend, id)
+  const { toStored, fromStored } = serialization(backend, options.serializer)
+
+  const result: ImportResult = { written: [], deleted: [], conflicts: [] }
+
+  for (const [key, imported] of entries) {
+    const prefix = prefixKey(key, id)
+    const stored = await backend.get(prefix)
+    const existing = stored === undefined ? undefined : fromStored(stored)
+
+    if (existing !== undefined && existing !== imported) {
+      result.conflicts.push({ key, existing, imported })
+      if (onConflict === 'keep') continue
+    }
+
+    await backend.set(prefix, toStored(imported))
+    result.written.push(key)
+  }
+
+  if (mode === 'replace') {
+    for (const key of await namespaceKeys(backend, id)) {
+      if (key in bundle.values) continue
+      await backend.delete(prefixKey(key, id))
+      result.deleted.push(key)
+    }
+  }
+
+  return result
+}
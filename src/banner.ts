@@ -1,4 +1,6 @@
-type MetadataValue = string | readonly (string | undefined)[] | undefined
+import { validateMetadata } from './validate'
+
+type MetadataValue = string | true | readonly (string | undefined)[] | undefined
 
 export type MetadataObject = Partial<
   Record<
@@ -24,12 +26,15 @@ export type MetadataObject = Partial<
  * Generate a UserScript metadata comment from an object.
  * Falsey values will be excluded from the banner, so checking if a value is undefined
  * before passing is not necessary.
+ * Values of `true` are added without a value (eg. `// @noframes`).
  *
  * @param metaValues Properties to add to metadata
  * @param spacing The amount of spaces between the `@` and the value, including the prop name.
  * Should be at least 1 greater than the longest prop name
  * @param start What to put at the start of the banner. Defaults to `'// ==UserScript=='`
  * @param end What to put at the end of the banner. Defaults to `'// ==/UserScript=='`
+ * @param strict Whether or not to check the metadata with `validateMetadata` first
+ * and throw if any errors are found
  * @returns A block of comments to be put at the top of a UserScript
  * including all of the properties passed
  */
@@ -38,7 +43,21 @@ export function genBanner(
   spacing = 12,
   start = '// ==UserScript==',
   end = '// ==/UserScript==',
+  strict = false,
 ): string {
+  if (strict) {
+    const { errors } = validateMetadata(metaValues)
+    if (errors.length)
+      throw new Error(
+        `Invalid metadata:\n${errors
+          .map(
+            ({ key, message, value }) =>
+              `  @${key}: ${message}${value ? ` (${value})` : ''}`,
+          )
+          .join('\n')}`,
+      )
+  }
+
   let final = `${start}\n`
 
   const format = (prop: string, value: string) =>
@@ -47,7 +66,9 @@ export function genBanner(
   for (const [key, value] of Object.entries(metaValues)) {
     if (!value) continue
 
-    if (typeof value === 'string') {
+    if (value === true) {
+      final += `// @${key}\n`
+    } else if (typeof value === 'string') {
       final += format(key, value)
     } else {
       for (const val of value) {
@@ -60,3 +81,64 @@ export function genBanner(
   final += `${end}\n`
   return final
 }
+
+/**
+ * Parse a UserScript metadata comment into an object.
+ * Keys that appear more than once (such as `@match` or `@grant`) are collected into arrays,
+ * and keys without a value (such as `@noframes`) are set to `true`.
+ * The returned object can be passed back to `genBanner`
+ *
+ * @param source The source text containing the banner, such as the contents of a `.user.js` file
+ * @param start The line the banner starts with. Defaults to `'// ==UserScript=='`
+ * @param end The line the banner ends with. Defaults to `'// ==/UserScript=='`
+ * @returns An object with all of the properties found in the banner
+ *
+ * @example
+ * ```typescript
+ * const metadata = parseBanner(`// ==UserScript==
+ * // @name     Example
+ * // @name:fr  Exemple
+ * // @match    https://example.com/*
+ * // @match    https://example.org/*
+ * // ==/UserScript==`)
+ *
+ * console.log(metadata.name) // Logs 'Example'
+ * console.log(metadata['name:fr']) // Logs 'Exemple'
+ * console.log(metadata.match) // Logs ['https://example.com/*', 'https://example.org/*']
+ * ```
+ */
+export function parseBanner(
+  source: string,
+  start = '// ==UserScript==',
+  end = '// ==/UserScript==',
+): MetadataObject {
+  const lines = source.split(/\r?\n/).map(line => line.trim())
+
+  const startIndex = lines.indexOf(start.trim())
+  if (startIndex === -1) throw new Error('Banner start not found')
+  const endIndex = lines.indexOf(end.trim(), startIndex + 1)
+  if (endIndex === -1) throw new Error('Banner end not found')
+
+  const metadata: Record<string, string | true | string[]> = {}
+  const metaLine = /^\/\/\s*@(\S+)(?:\s+(.*))?$/
+
+  for (const line of lines.slice(startIndex + 1, endIndex)) {
+    const match = line.match(metaLine)
+    if (!match) continue
+
+    const [, key, rawValue] = match
+    const value = rawValue?.trim() || true
+    const existing = metadata[key]
+
+    if (existing === undefined) {
+      metadata[key] = value
+    } else if (value !== true) {
+      // Collect repeated keys into an array
+      if (Array.isArray(existing)) existing.push(value)
+      else if (existing === true) metadata[key] = value
+      else metadata[key] = [existing, value]
+    }
+  }
+
+  return metadata
+}
@@ -0,0 +1,281 @@
+import { GrantOptions } from './grants'
+import { withLock } from './lock'
+import { namespace } from './namespace'
+import { defaultBackend, Serializer, StorageBackend } from './storage'
+import { serialization } from './utils'
+import type { NestedValue } from './values'
+
+export interface CacheOptions extends GrantOptions {
+  /** Where entries are stored. Defaults to the same backend as other values functions */
+  backend?: StorageBackend
+  /** How to convert values to strings for backends that can only store strings */
+  serializer?: Serializer
+  /** How long entries are fresh for, in milliseconds. Defaults to 5 minutes */
+  ttl?: number
+  /**
+   * How long after expiring an entry can still be returned by `getOrFetch`
+   * while it's refreshed in the background, in milliseconds. Defaults to 0
+   */
+  staleWhileRevalidate?: number
+  /** The maximum number of entries. The least recently used entries are evicted first */
+  maxEntries?: number
+  /**
+   * The maximum total size of all entries, in characters of JSON.
+   * The least recently used entries are evicted first
+   */
+  maxSize?: number
+}
+
+export interface Cache<T extends NestedValue = NestedValue> {
+  /** Get a value, resolving with `undefined` if it doesn't exist or has expired */
+  get(key: string): Promise<T | undefined>
+  /**
+   * Store a value
+   *
+   * @param ttl How long the value is fresh for. Defaults to the cache's `ttl`
+   */
+  set(key: string, value: T, ttl?: number): Promise<void>
+  /** Delete a value */
+  delete(key: string): Promise<void>
+  /** Delete every value */
+  clear(): Promise<void>
+  /**
+   * Get a value, or fetch and store it if it doesn't exist or has expired.
+   * Stale values within the `staleWhileRevalidate` window are returned immediately
+   * and refreshed in the background. Only one fetch runs at a time for each key
+   *
+   * @param fetch Called to get the value
+   * @param ttl How long the fetched value is fresh for. Defaults to the cache's `ttl`
+   */
+  getOrFetch(key: string, fetch: () => T | Promise<T>, ttl?: number): Promise<T>
+}
+
+/** An entry as it's stored, so that it keeps working after a reload */
+interface CacheEntry<T> {
+  value: T
+  /** When the entry was stored */
+  created: number
+  /** When the entry stops being fresh */
+  expires: number
+}
+
+/** Information used to prune and evict an entry without reading it */
+interface CacheMeta {
+  /** When the entry was last used */
+  accessed: number
+  /** The size of the entry, in characters of JSON */
+  size: number
+  /** When the entry stops being fresh */
+  expires: number
+}
+
+/**
+ * Information about every entry, stored in one value.
+ * It's only changed while holding a lock, so that tabs using the same cache
+ * don't overwrite each other's changes
+ */
+type CacheIndex = Record<string, CacheMeta>
+
+/**
+ * Requires the `GM.getValue`, `GM.setValue`, `GM.deleteValue` and `GM.listValues` grants
+ * or falls back to localStorage.
+ * Create a cache with expiring entries, stored under an ID.
+ * Entries store their own timestamps, so the cache keeps working after the page reloads
+ *
+ * @param id The unique identifier to store entries under
+ * @param options Options such as the TTL and size limits
+ * @returns The cache
+ * @example
+ * ```typescript
+ * const cache = createCache<string>('apicache', {
+ *   ttl: 60 * 60 * 1000,
+ *   staleWhileRevalidate: 24 * 60 * 60 * 1000,
+ *   maxEntries: 100,
+ * })
+ *
+ * const user = await cache.getOrFetch(
+ *   'user',
+ *   async () =>
+ *     (
+ *       await xhrPromise({
+ *         method: 'GET',
+ *         url: 'https://example.com/api/user',
+ *       })
+ *     ).responseText,
+ * )
+ * ```
+ */
+export function createCache<T extends NestedValue = NestedValue>(
+  id: string,
+  options: CacheOptions = {},
+): Cache<T> {
+  const {
+    ttl: defaultTtl = 5 * 60 * 1000,
+    staleWhileRevalidate = 0,
+    maxEntries = Infinity,
+    maxSize = Infinity,
+  } = options
+  const backend =
+    options.backend ??
+    defaultBackend(
+      'createCache',
+      ['getValue', 'setValue', 'deleteValue', 'listValues'],
+      options.grantPolicy,
+    )
+  const { toStored, fromStored } = serialization(backend, options.serializer)
+
+  const entries = namespace(`${id}.entries`, backend)
+  const indexKey = `${id}.index`
+  const limited = maxEntries !== Infinity || maxSize !== Infinity
+
+  /** Fetches that are running, to avoid fetching a key twice */
+  const fetching = new Map<string, Promise<T>>()
+  /** When entries were used by this tab since the index was last saved */
+  const accessed = new Map<string, number>()
+
+  /** Parse JSON stored in a backend, resolving with `undefined` if it isn't valid */
+  const parse = <Parsed>(stored: GM.Value | undefined): Parsed | undefined => {
+    if (stored === undefined) return undefined
+    try {
+      return JSON.parse(fromStored(stored) as string)
+    } catch {
+      return undefined
+    }
+  }
+
+  const read = async (key: string) =>
+    parse<CacheEntry<T>>(await entries.get(key))
+
+  /** Read the index, change it and save it again, holding a lock shared between tabs */
+  const updateIndex = (change: (index: CacheIndex) => Promise<void>) =>
+    withLock(
+      indexKey,
+      async () => {
+        const index = parse<CacheIndex>(await backend.get(indexKey)) ?? {}
+
+        for (const [key, time] of accessed)
+          if (index[key]) index[key].accessed = time
+        accessed.clear()
+
+        await change(index)
+        await backend.set(indexKey, toStored(JSON.stringify(index)))
+      },
+      { backend, grantPolicy: options.grantPolicy },
+    )
+
+  const remove = (key: string) =>
+    updateIndex(async index => {
+      await entries.delete(key)
+      delete index[key]
+    })
+
+  /**
+   * Record that an entry was used, for LRU eviction.
+   * Uses are saved to the index in the background, together with any others made meanwhile
+   */
+  const touch = (key: string) => {
+    if (!limited) return
+    const first = !accessed.size
+    accessed.set(key, Date.now())
+    if (first) updateIndex(async () => {}).catch(() => {})
+  }
+
+  /**
+   * Prune entries that can't be used anymore, then evict the least recently used entries
+   * until the cache is within its limits
+   */
+  const evict = async (index: CacheIndex, keep: string) => {
+    const now = Date.now()
+    for (const [key, info] of Object.entries(index)) {
+      if (key === keep || now < info.expires + staleWhileRevalidate) continue
+      await entries.delete(key)
+      delete index[key]
+    }
+    if (!limited) return
+
+    const infos = Object.entries(index)
+    let count = infos.length
+    let size = infos.reduce((total, [, info]) => total + info.size, 0)
+
+    const byAccess = infos
+      .filter(([key]) => key !== keep)
+      .sort(([, a], [, b]) => a.accessed - b.accessed)
+
+    for (const [key, info] of byAccess) {
+      if (count <= maxEntries && size <= maxSize) break
+      size -= info.size
+      count--
+      await entries.delete(key)
+      delete index[key]
+    }
+  }
+
+  const set = (key: string, value: T, ttl = defaultTtl) =>
+    updateIndex(async index => {
+      const now = Date.now()
+      const entry: CacheEntry<T> = { value, created: now, expires: now + ttl }
+      const json = JSON.stringify(entry)
+
+      await entries.set(key, toStored(json))
+      index[key] = { accessed: now, size: json.length, expires: entry.expires }
+      await evict(index, key)
+    })
+
+  const refresh = (key: string, fetch: () => T | Promise<T>, ttl?: number) => {
+    const existing = fetching.get(key)
+    if (existing) return existing
+
+    const promise = (async () => {
+      const value = await fetch()
+      await set(key, value, ttl)
+      return value
+    })().finally(() => fetching.delete(key))
+
+    fetching.set(key, promise)
+    return promise
+  }
+
+  return {
+    async get(key) {
+      const entry = await read(key)
+      if (!entry) return undefined
+
+      const now = Date.now()
+      if (now < entry.expires) {
+        touch(key)
+        return entry.value
+      }
+      // Keep expired entries that can still be used by getOrFetch
+      if (now >= entry.expires + staleWhileRevalidate) await remove(key)
+      return undefined
+    },
+
+    set,
+    delete: remove,
+
+    clear: () =>
+      updateIndex(async index => {
+        await entries.clear()
+        for (const key of Object.keys(index)) delete index[key]
+      }),
+
+    async getOrFetch(key, fetch, ttl) {
+      const entry = await read(key)
+      const now = Date.now()
+
+      if (entry && now < entry.expires) {
+        touch(key)
+        return entry.value
+      }
+
+      if (entry && now < entry.expires + staleWhileRevalidate) {
+        // Refresh in the background and use the stale value for now
+        refresh(key, fetch, ttl).catch(() => {})
+        touch(key)
+        return entry.value
+      }
+
+      return refresh(key, fetch, ttl)
+    },
+  }
+}
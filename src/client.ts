@@ -0,0 +1,331 @@
+import { parseHeaders } from './utils'
+import { XhrOptions, xhrPromise } from './xhr'
+
+/** A query parameter value. Arrays are added as repeated parameters */
+export type ParamValue =
+  | string
+  | number
+  | boolean
+  | null
+  | undefined
+  | readonly (string | number | boolean)[]
+
+export interface ClientConfig extends XhrOptions {
+  /** Prepended to request URLs that aren't absolute */
+  baseURL?: string
+  headers?: Record<string, string>
+  /** Query parameters to add to the URL. `null` and `undefined` values are skipped */
+  params?: Record<string, ParamValue>
+  /**
+   * How to read the response data. `'json'` parses the response as JSON,
+   * falling back to the text if it isn't valid JSON. Defaults to `'json'`
+   */
+  responseType?: 'json' | 'text' | 'arraybuffer' | 'blob'
+}
+
+export interface ClientRequest extends ClientConfig {
+  method: GM.Request['method']
+  url: string
+  /**
+   * The request body. Strings, `URLSearchParams`, `FormData`, `Blob`s and `ArrayBuffer`s
+   * are sent as-is, and other values are sent as JSON
+   */
+  data?: unknown
+}
+
+export interface ClientResponse<T = any> {
+  /** The response body, read according to the `responseType` */
+  data: T
+  status: number
+  statusText: string
+  /** Whether or not the status is 2xx */
+  ok: boolean
+  /** The response headers, with lowercase names */
+  headers: Record<string, string>
+  /** The URL of the request after redirects */
+  finalUrl: string
+  /** The request that was made, after request interceptors */
+  request: ClientRequest
+  /** The Greasemonkey Response object */
+  raw: GM.Response<any>
+}
+
+/** Called before a request is made. Returns the request to make */
+export type RequestInterceptor = (
+  request: ClientRequest,
+) => ClientRequest | Promise<ClientRequest>
+
+/** Called with a response. Returns the response to resolve with */
+export type ResponseInterceptor = (
+  response: ClientResponse,
+) => ClientResponse | Promise<ClientResponse>
+
+/**
+ * Called when a request fails, such as with an `XhrError`.
+ * Returns a response to recover with, or throws to keep failing
+ */
+export type ErrorInterceptor = (
+  error: unknown,
+  request: ClientRequest,
+) => ClientResponse | Promise<ClientResponse>
+
+/** A chain of interceptors */
+export interface Interceptors<Fulfilled, Rejected = never> {
+  /**
+   * Add an interceptor. Interceptors are called in the order they're added
+   *
+   * @returns A function to remove the interceptor
+   */
+  use(onFulfilled?: Fulfilled, onRejected?: Rejected): () => void
+}
+
+type RequestConfig = Partial<Omit<ClientRequest, 'method' | 'url' | 'data'>>
+
+export interface Client {
+  /** The defaults for every request */
+  readonly defaults: ClientConfig
+  readonly interceptors: {
+    request: Interceptors<RequestInterceptor>
+    response: Interceptors<ResponseInterceptor, ErrorInterceptor>
+  }
+  request<T = any>(request: ClientRequest): Promise<ClientResponse<T>>
+  get<T = any>(url: string, config?: RequestConfig): Promise<ClientResponse<T>>
+  head<T = any>(url: string, config?: RequestConfig): Promise<ClientResponse<T>>
+  delete<T = any>(
+    url: string,
+    config?: RequestConfig,
+  ): Promise<ClientResponse<T>>
+  post<T = any>(
+    url: string,
+    data?: unknown,
+    config?: RequestConfig,
+  ): Promise<ClientResponse<T>>
+  put<T = any>(
+    url: string,
+    data?: unknown,
+    config?: RequestConfig,
+  ): Promise<ClientResponse<T>>
+  patch<T = any>(
+    url: string,
+    data?: unknown,
+    config?: RequestConfig,
+  ): Promise<ClientResponse<T>>
+}
+
+/** Create an interceptor chain backed by a list */
+function interceptorChain<Fulfilled, Rejected>() {
+  const list: { onFulfilled?: Fulfilled; onRejected?: Rejected }[] = []
+  const chain: Interceptors<Fulfilled, Rejected> = {
+    use(onFulfilled, onRejected) {
+      const interceptor = { onFulfilled, onRejected }
+      list.push(interceptor)
+      return () => {
+        const index = list.indexOf(interceptor)
+        if (index !== -1) list.splice(index, 1)
+      }
+    },
+  }
+  return { list, chain }
+}
+
+/** Lowercase header names so that headers from different places can be merged */
+const normalizeHeaders = (headers: Record<string, string> = {}) =>
+  Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]),
+  )
+
+/** Add a base URL and query parameters to a URL */
+function buildUrl(
+  url: string,
+  baseURL = '',
+  params: Record<string, ParamValue> = {},
+) {
+  if (baseURL && !/^[a-z][a-z\d+.-]*:/i.test(url))
+    url = `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`
+
+  const search = new URLSearchParams()
+  for (const [key, value] of Object.entries(params)) {
+    if (value === null || value === undefined) continue
+    if (Array.isArray(value))
+      for (const item of value) search.append(key, String(item))
+    else search.append(key, String(value))
+  }
+
+  const query = search.toString()
+  if (!query) return url
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`
+}
+
+/** Encode request data, adding a Content-Type header if there isn't one */
+function encodeData(data: unknown, headers: Record<string, string>) {
+  if (data === undefined) return undefined
+  if (
+    typeof data === 'string' ||
+    data instanceof FormData ||
+    data instanceof Blob ||
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data)
+  )
+    return data
+
+  if (data instanceof URLSearchParams) {
+    headers['content-type'] ??=
+      'application/x-www-form-urlencoded;charset=UTF-8'
+    return data.toString()
+  }
+
+  headers['content-type'] ??= 'application/json'
+  return JSON.stringify(data)
+}
+
+/** Read the response data according to the response type */
+function decodeData(raw: GM.Response<any>, responseType: string) {
+  if (responseType === 'arraybuffer' || responseType === 'blob')
+    return raw.response
+  if (responseType === 'text' || !raw.responseText) return raw.responseText
+
+  try {
+    return JSON.parse(raw.responseText)
+  } catch {
+    return raw.responseText
+  }
+}
+
+/** Get the headers from a Greasemonkey Response object, joining repeated headers */
+function responseHeaders(raw: GM.Response<any>) {
+  const headers: Record<string, string> = {}
+  for (let [name, value] of parseHeaders(raw.responseHeaders ?? '')) {
+    name = name.toLowerCase()
+    headers[name] = name in headers ? `${headers[name]}, ${value}` : value
+  }
+  return headers
+}
+
+/**
+ * Requires the GM.xmlHttpRequest grant.
+ * Create a client that makes requests with `xhrPromise` using shared defaults,
+ * such as a base URL and headers.
+ * Request data is sent as JSON and responses are parsed as JSON unless chosen otherwise.
+ * Like `xhrPromise`, requests resolve for every status, so check `ok`
+ *
+ * @param defaults The defaults for every request. Headers and query parameters
+ * are merged with the ones for each request. The object is copied,
+ * so change `client.defaults` to change the defaults later
+ * @returns The client
+ * @example
+ * ```typescript
+ * const api = createClient({
+ *   baseURL: 'https://example.com/api',
+ *   headers: { Authorization: `Bearer ${token}` },
+ *   timeout: 10000,
+ * })
+ *
+ * // Refresh the token and retry when it expires
+ * api.interceptors.response.use(async response => {
+ *   if (response.status !== 401 || response.request.headers?.['x-retried'])
+ *     return response
+ *
+ *   token = await refreshToken()
+ *   api.defaults.headers!.Authorization = `Bearer ${token}`
+ *   return api.request({
+ *     ...response.request,
+ *     headers: { Authorization: `Bearer ${token}`, 'X-Retried': 'true' },
+ *   })
+ * })
+ *
+ * const { data: user } = await api.get<User>('/user', { params: { id: 1 } })
+ * ```
+ */
+export function createClient(defaults: ClientConfig = {}): Client {
+  // Copied so that changing `client.defaults` doesn't change the object that was passed
+  const clientDefaults: ClientConfig = {
+    ...defaults,
+    headers: { ...defaults.headers },
+    params: { ...defaults.params },
+  }
+
+  const requestInterceptors = interceptorChain<RequestInterceptor, never>()
+  const responseInterceptors = interceptorChain<
+    ResponseInterceptor,
+    ErrorInterceptor
+  >()
+
+  async function request<T>(
+    options: ClientRequest,
+  ): Promise<ClientResponse<T>> {
+    let config: ClientRequest = {
+      ...clientDefaults,
+      ...options,
+      headers: {
+        ...normalizeHeaders(clientDefaults.headers),
+        ...normalizeHeaders(options.headers),
+      },
+      params: { ...clientDefaults.params, ...options.params },
+    }
+
+    for (const { onFulfilled } of [...requestInterceptors.list])
+      if (onFulfilled) config = await onFulfilled(config)
+
+    const { responseType = 'json' } = config
+    const headers = normalizeHeaders(config.headers)
+    if (responseType === 'json') headers.accept ??= 'application/json'
+    const data = encodeData(config.data, headers)
+
+    let result: Promise<ClientResponse> = xhrPromise(
+      {
+        method: config.method,
+        url: buildUrl(config.url, config.baseURL, config.params),
+        headers,
+        // Managers that support them send Blobs and FormData as-is
+        data: data as string | undefined,
+        ...(responseType === 'arraybuffer' || responseType === 'blob'
+          ? { responseType }
+          : {}),
+      } as GM.Request,
+      config,
+    ).then(raw => ({
+      data: decodeData(raw, responseType),
+      status: raw.status,
+      statusText: raw.statusText,
+      ok: raw.status >= 200 && raw.status < 300,
+      headers: responseHeaders(raw),
+      finalUrl: raw.finalUrl,
+      request: config,
+      raw,
+    }))
+
+    for (const { onFulfilled, onRejected } of [...responseInterceptors.list]) {
+      result = result.then(
+        onFulfilled,
+        onRejected && (error => onRejected(error, config)),
+      )
+    }
+
+    return result
+  }
+
+  const withoutData =
+    (method: GM.Request['method']) =>
+    <T>(url: string, config: RequestConfig = {}) =>
+      request<T>({ ...config, method, url })
+
+  const withData =
+    (method: GM.Request['method']) =>
+    <T>(url: string, data?: unknown, config: RequestConfig = {}) =>
+      request<T>({ ...config, method, url, data })
+
+  return {
+    defaults: clientDefaults,
+    interceptors: {
+      request: requestInterceptors.chain,
+      response: responseInterceptors.chain,
+    },
+    request,
+    get: withoutData('GET'),
+    head: withoutData('HEAD'),
+    delete: withoutData('DELETE'),
+    post: withData('POST'),
+    put: withData('PUT'),
+    patch: withData('PATCH'),
+  }
+}
@@ -0,0 +1,171 @@
+type ValueChangeListener = (
+  name: string,
+  oldValue: GM.Value | undefined,
+  newValue: GM.Value | undefined,
+  remote: boolean,
+) => void
+
+declare const GM_info: typeof GM.info | undefined
+declare const GM_getValue:
+  | ((name: string, defaultValue?: GM.Value) => GM.Value | undefined)
+  | undefined
+declare const GM_setValue: ((name: string, value: GM.Value) => void) | undefined
+declare const GM_deleteValue: ((name: string) => void) | undefined
+declare const GM_listValues: (() => string[]) | undefined
+declare const GM_addValueChangeListener:
+  | ((name: string, listener: ValueChangeListener) => number)
+  | undefined
+declare const GM_removeValueChangeListener:
+  | ((listenerId: number) => void)
+  | undefined
+declare const GM_xmlhttpRequest: ((details: GM.Request) => unknown) | undefined
+declare const GM_getResourceURL: ((name: string) => string) | undefined
+declare const GM_notification: ((...args: any[]) => void) | undefined
+declare const GM_setClipboard: ((text: string) => void) | undefined
+declare const GM_openInTab:
+  | ((url: string, openInBackground?: boolean) => unknown)
+  | undefined
+declare const GM_registerMenuCommand:
+  | ((caption: string, fn: () => void, accessKey?: string) => unknown)
+  | undefined
+
+/** The Greasemonkey functions used by GreaseTools, using the Greasemonkey 4 Promise API */
+export interface GMApi {
+  getValue(name: string, defaultValue?: GM.Value): Promise<GM.Value | undefined>
+  setValue(name: string, value: GM.Value): Promise<void>
+  deleteValue(name: string): Promise<void>
+  listValues(): Promise<string[]>
+  /** Only provided by some managers, such as Tampermonkey and Violentmonkey */
+  addValueChangeListener(name: string, listener: ValueChangeListener): number
+  removeValueChangeListener(listenerId: number): void
+  /** Returns a handle that can abort the request with most managers */
+  xmlHttpRequest(details: GM.Request): { abort?(): void } | void
+  getResourceUrl(name: string): Promise<string>
+  notification: typeof GM.notification
+  setClipboard(text: string): Promise<void>
+  openInTab(url: string, openInBackground?: boolean): void
+  registerMenuCommand(caption: string, fn: () => void, accessKey?: string): void
+}
+
+/** A function that GreaseTools can use if the manager provides it */
+export type Grant = keyof GMApi
+
+/** Information about the UserScript manager that the script is running in */
+export interface Environment {
+  /** The name of the manager (eg. `Tampermonkey`), or `undefined` if it isn't known */
+  manager?: string
+  /** The version of the manager */
+  version?: string
+  /** Whether or not the Greasemonkey 4 `GM.*` API is available */
+  gm: boolean
+  /** Whether or not the legacy `GM_*` API is available */
+  legacy: boolean
+  /** The functions that are available with either API */
+  capabilities: Grant[]
+}
+
+const gmObject = (): Partial<typeof GM> => (typeof GM === 'undefined' ? {} : GM)
+
+/** Get the legacy `GM_*` functions, which must be referenced directly since they aren't globals */
+const legacy = () => ({
+  getValue: typeof GM_getValue === 'function' ? GM_getValue : undefined,
+  setValue: typeof GM_setValue === 'function' ? GM_setValue : undefined,
+  deleteValue:
+    typeof GM_deleteValue === 'function' ? GM_deleteValue : undefined,
+  listValues: typeof GM_listValues === 'function' ? GM_listValues : undefined,
+  addValueChangeListener:
+    typeof GM_addValueChangeListener === 'function'
+      ? GM_addValueChangeListener
+      : undefined,
+  removeValueChangeListener:
+    typeof GM_removeValueChangeListener === 'function'
+      ? GM_removeValueChangeListener
+      : undefined,
+  xmlHttpRequest:
+    typeof GM_xmlhttpRequest === 'function' ? GM_xmlhttpRequest : undefined,
+  getResourceUrl:
+    typeof GM_getResourceURL === 'function' ? GM_getResourceURL : undefined,
+  notification:
+    typeof GM_notification === 'function' ? GM_notification : undefined,
+  setClipboard:
+    typeof GM_setClipboard === 'function' ? GM_setClipboard : undefined,
+  openInTab: typeof GM_openInTab === 'function' ? GM_openInTab : undefined,
+  registerMenuCommand:
+    typeof GM_registerMenuCommand === 'function'
+      ? GM_registerMenuCommand
+      : undefined,
+})
+
+/**
+ * Get the Greasemonkey functions that are available, using the Greasemonkey 4 Promise API.
+ * Uses `GM.*` functions when they're available, and wraps the synchronous legacy `GM_*`
+ * functions otherwise, so that GreaseTools works with either `@grant` style
+ *
+ * @returns The available functions
+ * @example
+ * ```typescript
+ * // Works with either `@grant GM.getValue` or `@grant GM_getValue`
+ * const theme = await gmApi().getValue?.('theme')
+ * ```
+ */
+export function gmApi(): Partial<GMApi> {
+  const gmFunctions = gmObject() as Record<string, any>
+  const gm_ = legacy()
+
+  /** Get a `GM.*` function, bound in case the manager relies on `this` */
+  const gm = <Name extends Grant>(name: Name): GMApi[Name] | undefined =>
+    typeof gmFunctions[name] === 'function'
+      ? gmFunctions[name].bind(gmFunctions)
+      : undefined
+
+  /** Wrap a legacy function to return a Promise */
+  const promised = <Args extends unknown[], Result>(
+    fn?: (...args: Args) => Result,
+  ) => fn && (async (...args: Args) => fn(...args))
+
+  return {
+    getValue: gm('getValue') ?? promised(gm_.getValue),
+    setValue: gm('setValue') ?? promised(gm_.setValue),
+    deleteValue: gm('deleteValue') ?? promised(gm_.deleteValue),
+    listValues: gm('listValues') ?? promised(gm_.listValues),
+    addValueChangeListener: gm_.addValueChangeListener,
+    removeValueChangeListener: gm_.removeValueChangeListener,
+    xmlHttpRequest:
+      gm('xmlHttpRequest') ??
+      (gm_.xmlHttpRequest as GMApi['xmlHttpRequest'] | undefined),
+    getResourceUrl: gm('getResourceUrl') ?? promised(gm_.getResourceUrl),
+    notification: gm('notification') ?? gm_.notification,
+    setClipboard: gm('setClipboard') ?? promised(gm_.setClipboard),
+    openInTab: gm('openInTab') ?? gm_.openInTab,
+    registerMenuCommand: gm('registerMenuCommand') ?? gm_.registerMenuCommand,
+  }
+}
+
+/**
+ * Get information about the UserScript manager that the script is running in,
+ * from `GM.info` or `GM_info`
+ *
+ * @returns The manager's name and version, and the functions that are available
+ * @example
+ * ```typescript
+ * const { manager, capabilities } = getEnvironment()
+ * if (!capabilities.includes('setClipboard'))
+ *   console.warn(`${manager} can't copy to the clipboard`)
+ * ```
+ */
+export function getEnvironment(): Environment {
+  const gm = gmObject()
+  const info = gm.info ?? (typeof GM_info === 'object' ? GM_info : undefined)
+  const api = gmApi()
+
+  return {
+    manager: info?.scriptHandler,
+    version: info?.version,
+    gm: typeof GM !== 'undefined',
+    legacy:
+      Object.values(legacy()).some(fn => fn) || typeof GM_info === 'object',
+    capabilities: (Object.keys(api) as Grant[]).filter(
+      grant => typeof api[grant] === 'function',
+    ),
+  }
+}
@@ -0,0 +1,209 @@
+/** A node that elements can be searched for in, such as `document` or a shadow root */
+export type ElementRoot = ParentNode & Node
+
+export interface WaitForElementOptions {
+  /** Where to look for the element. Defaults to `document` */
+  root?: ElementRoot
+  /**
+   * How long to wait for the element before rejecting with an `ElementTimeoutError`,
+   * in milliseconds. Defaults to waiting forever
+   */
+  timeout?: number
+  /** A signal to stop waiting with */
+  signal?: AbortSignal
+}
+
+export interface ObserveElementsOptions {
+  /** Where to look for elements. Defaults to `document` */
+  root?: ElementRoot
+  /** A signal to stop observing with */
+  signal?: AbortSignal
+}
+
+/** Thrown when an element isn't found before the timeout */
+export class ElementTimeoutError extends Error {
+  constructor(
+    /** The selector that was waited for */
+    public readonly selector: string,
+    /** How long was waited for the element, in milliseconds */
+    public readonly timeout: number,
+  ) {
+    super(`Timed out after ${timeout}ms waiting for ${selector}`)
+    this.name = 'ElementTimeoutError'
+  }
+}
+
+type MutationListener = (records: MutationRecord[]) => void
+
+interface Watcher {
+  root: ElementRoot
+  listener: MutationListener
+}
+
+const observerOptions: MutationObserverInit = {
+  childList: true,
+  subtree: true,
+  attributes: true,
+}
+
+/** Every function shares one observer, which observes the roots of the current watchers */
+let observer: MutationObserver | undefined
+const watchers = new Set<Watcher>()
+
+/** Pass mutations to the watchers whose root they happened in */
+function dispatch(records: MutationRecord[]) {
+  for (const watcher of [...watchers]) {
+    const relevant = records.filter(record =>
+      watcher.root.contains(record.target),
+    )
+    if (relevant.length && watchers.has(watcher)) watcher.listener(relevant)
+  }
+}
+
+/**
+ * Call a listener with the mutations in a root using the shared observer
+ *
+ * @returns A function to stop watching
+ */
+function watch(root: ElementRoot, listener: MutationListener) {
+  observer ??= new MutationObserver(dispatch)
+  const watcher = { root, listener }
+  watchers.add(watcher)
+  observer.observe(root, observerOptions)
+
+  return () => {
+    if (!watchers.delete(watcher) || !observer) return
+
+    // Observers can't stop observing a single node,
+    // so handle pending mutations and observe the remaining roots again
+    const pending = observer.takeRecords()
+    observer.disconnect()
+    for (const { root } of watchers) observer.observe(root, observerOptions)
+    if (pending.length) dispatch(pending)
+  }
+}
+
+const abortError = () =>
+  new DOMException('Waiting for the element was aborted', 'AbortError')
+
+/**
+ * Wait for an element matching a selector to be in the page,
+ * resolving right away if there already is one
+ *
+ * @param selector The CSS selector to wait for
+ * @param options Other options, such as where to look and how long to wait
+ * @returns A Promise that resolves with the first matching element,
+ * or rejects with an `ElementTimeoutError` if it times out
+ * or a `DOMException` named `AbortError` if the signal is aborted
+ * @example
+ * ```typescript
+ * const sidebar = await waitForElement<HTMLElement>('#sidebar', { timeout: 10000 })
+ * sidebar.hidden = true
+ * ```
+ */
+export function waitForElement<E extends Element = Element>(
+  selector: string,
+  options: WaitForElementOptions = {},
+): Promise<E> {
+  const { root = document, timeout, signal } = options
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError())
+
+    const existing = root.querySelector<E>(selector)
+    if (existing) return resolve(existing)
+
+    let timer: ReturnType<typeof setTimeout> | undefined
+
+    const settle = (settleWith: () => void) => {
+      stop()
+      if (timer) clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+      settleWith()
+    }
+
+    const stop = watch(root, () => {
+      const element = root.querySelector<E>(selector)
+      if (element) settle(() => resolve(element))
+    })
+
+    function onAbort() {
+      settle(() => reject(abortError()))
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    if (timeout !== undefined) {
+      timer = setTimeout(
+        () => settle(() => reject(new ElementTimeoutError(selector, timeout))),
+        timeout,
+      )
+    }
+  })
+}
+
+/**
+ * Call a function for every element matching a selector, including ones already in the page
+ * and ones added later, such as items in an infinitely scrolling list.
+ * Elements that start or stop matching because their attributes change are included
+ *
+ * @param selector The CSS selector to observe
+ * @param onAdded Called with each element that starts matching
+ * @param onRemoved Called with each element that is removed or stops matching
+ * @param options Other options, such as where to look and a signal to stop observing with
+ * @returns A function to stop observing
+ * @example
+ * ```typescript
+ * const stop = observeElements<HTMLElement>(
+ *   '.comment',
+ *   comment => comment.classList.add('highlighted'),
+ *   comment => console.log('Comment removed', comment),
+ * )
+ * ```
+ */
+export function observeElements<E extends Element = Element>(
+  selector: string,
+  onAdded: (element: E) => void,
+  onRemoved?: (element: E) => void,
+  options: ObserveElementsOptions = {},
+): () => void {
+  const { root = document, signal } = options
+  if (signal?.aborted) return () => {}
+
+  const matched = new Set<E>()
+
+  const add = (element: E) => {
+    if (matched.has(element)) return
+    matched.add(element)
+    onAdded(element)
+  }
+
+  /** Add an element and its descendants that match */
+  const addTree = (node: Node) => {
+    if (!(node instanceof Element)) return
+    if (node.matches(selector)) add(node as Element as E)
+    node.querySelectorAll<E>(selector).forEach(add)
+  }
+
+  const stop = watch(root, records => {
+    for (const record of records) {
+      if (record.type === 'attributes') addTree(record.target)
+      else record.addedNodes.forEach(addTree)
+    }
+
+    // Check every match, since removing or changing an ancestor can affect it
+    for (const element of matched) {
+      if (root.contains(element) && element.matches(selector)) continue
+      matched.delete(element)
+      onRemoved?.(element)
+    }
+  })
+
+  root.querySelectorAll<E>(selector).forEach(add)
+
+  const disconnect = () => {
+    stop()
+    signal?.removeEventListener('abort', disconnect)
+  }
+  signal?.addEventListener('abort', disconnect, { once: true })
+  return disconnect
+}
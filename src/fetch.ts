@@ -0,0 +1,198 @@
+import { parseHeaders } from './utils'
+import { XhrAbortError, XhrError, xhrPromise } from './xhr'
+
+/** The parts of `Response` that are supported by `gmFetch` */
+export interface GMFetchResponse {
+  readonly ok: boolean
+  readonly status: number
+  readonly statusText: string
+  readonly headers: Headers
+  /** The final URL after redirects */
+  readonly url: string
+  readonly redirected: boolean
+  readonly bodyUsed: boolean
+  /** The Greasemonkey Response object for the request */
+  readonly raw: GM.Response<any>
+  arrayBuffer(): Promise<ArrayBuffer>
+  blob(): Promise<Blob>
+  json(): Promise<any>
+  text(): Promise<string>
+  clone(): GMFetchResponse
+}
+
+/** Get the body of a Greasemonkey Response object as bytes */
+function responseBytes(response: GM.Response<any>): ArrayBuffer {
+  // Some managers ignore responseType, so fall back to the text
+  if (response.response instanceof ArrayBuffer) return response.response
+  return new TextEncoder().encode(response.responseText ?? '').buffer
+}
+
+/** Decode text using the charset from a Content-Type header */
+function decodeText(bytes: ArrayBuffer, contentType: string | null) {
+  const charset = contentType?.match(/charset=["']?([^;"']+)/i)?.[1]
+  try {
+    return new TextDecoder(charset).decode(bytes)
+  } catch {
+    // Unknown charset
+    return new TextDecoder().decode(bytes)
+  }
+}
+
+function createResponse(
+  raw: GM.Response<any>,
+  requestUrl: string,
+  bytes: ArrayBuffer = responseBytes(raw),
+): GMFetchResponse {
+  const headers = new Headers()
+  for (const [name, value] of parseHeaders(raw.responseHeaders ?? '')) {
+    try {
+      headers.append(name, value)
+    } catch {}
+  }
+  const url = raw.finalUrl || requestUrl
+  let bodyUsed = false
+
+  const consume = () => {
+    if (bodyUsed) return Promise.reject(TypeError('Body has already been used'))
+    bodyUsed = true
+    return Promise.resolve(bytes)
+  }
+
+  return {
+    ok: raw.status >= 200 && raw.status < 300,
+    status: raw.status,
+    statusText: raw.statusText,
+    headers,
+    url,
+    redirected: url !== requestUrl,
+    get bodyUsed() {
+      return bodyUsed
+    },
+    raw,
+
+    arrayBuffer: () => consume().then(body => body.slice(0)),
+    blob: () =>
+      consume().then(
+        body => new Blob([body], { type: headers.get('Content-Type') ?? '' }),
+      ),
+    text: () =>
+      consume().then(body => decodeText(body, headers.get('Content-Type'))),
+    json: () =>
+      consume().then(body =>
+        JSON.parse(decodeText(body, headers.get('Content-Type'))),
+      ),
+
+    clone() {
+      if (bodyUsed) throw TypeError('Body has already been used')
+      return createResponse(raw, requestUrl, bytes)
+    },
+  }
+}
+
+/**
+ * Convert a fetch body to data for GM.xmlHttpRequest,
+ * adding a Content-Type header like fetch does if there isn't one
+ */
+function requestData(
+  body: BodyInit,
+  headers: Headers,
+): string | Blob | FormData {
+  const setType = (type: string) => {
+    if (!headers.has('Content-Type')) headers.set('Content-Type', type)
+  }
+
+  if (typeof body === 'string') {
+    setType('text/plain;charset=UTF-8')
+    return body
+  }
+  if (body instanceof URLSearchParams) {
+    setType('application/x-www-form-urlencoded;charset=UTF-8')
+    return body.toString()
+  }
+  // The boundary is added by the browser
+  if (body instanceof FormData) return body
+  if (body instanceof Blob) {
+    if (body.type) setType(body.type)
+    return body
+  }
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body))
+    return new Blob([body])
+
+  throw TypeError('Unsupported request body')
+}
+
+/**
+ * Make a request with GM.xmlHttpRequest using the same arguments as `fetch`.
+ * Requires the GM.xmlHttpRequest grant.
+ * The request isn't limited by CORS, so it can be made to any host allowed by `@connect`.
+ * Like `fetch`, the Promise resolves for HTTP error statuses, so check `ok`
+ *
+ * @param input The URL or a `Request`
+ * @param init Options for the request, such as the method, headers and body.
+ * `credentials: 'omit'` makes the request anonymous, and `signal` aborts the request.
+ * Other options are ignored
+ * @returns A Promise that resolves with a `Response`-like object,
+ * or rejects with a `TypeError` if the request fails or times out,
+ * with the `XhrError` as its `cause`
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/fetch}
+ *
+ * @example
+ * ```typescript
+ * const response = await gmFetch('https://example.com/api/user', {
+ *   method: 'POST',
+ *   body: new URLSearchParams({ name: 'Example' }),
+ * })
+ *
+ * if (response.ok) console.log(await response.json())
+ * ```
+ */
+export async function gmFetch(
+  input: RequestInfo | URL,
+  init: RequestInit = {},
+): Promise<GMFetchResponse> {
+  const request = input instanceof Request ? input : undefined
+  const url = request ? request.url : new URL(String(input), location.href).href
+  const method = (init.method ?? request?.method ?? 'GET').toUpperCase()
+  const headers = new Headers(init.headers ?? request?.headers)
+  const signal = init.signal ?? request?.signal
+
+  let data: string | Blob | FormData | undefined
+  if (init.body !== undefined && init.body !== null) {
+    data = requestData(init.body, headers)
+  } else if (request && method !== 'GET' && method !== 'HEAD') {
+    const body = await request.blob()
+    if (body.size) data = body
+  }
+
+  if (signal?.aborted)
+    throw new DOMException('The request was aborted', 'AbortError')
+
+  const headerObject: Record<string, string> = {}
+  headers.forEach((value, key) => (headerObject[key] = value))
+
+  let raw: GM.Response<GM.Request>
+  try {
+    raw = await xhrPromise(
+      {
+        method: method as GM.Request['method'],
+        url,
+        headers: headerObject,
+        // Managers that support them send Blobs and FormData as-is
+        data: data as string | undefined,
+        responseType: 'arraybuffer',
+        anonymous: (init.credentials ?? request?.credentials) === 'omit',
+      } as GM.Request,
+      { signal: signal ?? undefined },
+    )
+  } catch (err) {
+    // Abort the same way as fetch so that existing checks for AbortError work
+    if (err instanceof XhrAbortError)
+      throw new DOMException('The request was aborted', 'AbortError')
+    // fetch rejects with a TypeError for network errors, so existing checks for it work
+    if (err instanceof XhrError)
+      throw Object.assign(new TypeError('Failed to fetch'), { cause: err })
+    throw err
+  }
+
+  return createResponse(raw, url)
+}
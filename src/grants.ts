@@ -0,0 +1,132 @@
+import { gmApi, Grant } from './compat'
+
+/**
+ * What to do when a function is missing grants.
+ * `'fallback'` quietly uses the fallback, such as localStorage,
+ * `'warn'` logs a warning the first time and uses the fallback,
+ * and `'throw'` throws a `MissingGrantError`
+ */
+export type GrantPolicy = 'fallback' | 'warn' | 'throw'
+
+export interface GrantOptions {
+  /** What to do if grants are missing. Defaults to the policy set with `setGrantPolicy` */
+  grantPolicy?: GrantPolicy
+}
+
+/** Grants that a function needed but weren't present */
+export interface MissingGrants {
+  /** The name of the function that needed the grants */
+  caller: string
+  grants: Grant[]
+}
+
+/** Grants that only exist with the legacy `GM_*` API */
+const legacyOnly: readonly Grant[] = [
+  'addValueChangeListener',
+  'removeValueChangeListener',
+]
+
+let globalPolicy: GrantPolicy = 'fallback'
+
+/** Missing grants that have been found, by function and grants */
+const reports = new Map<string, MissingGrants>()
+
+/**
+ * Get the line to add to the UserScript header for a grant
+ *
+ * @param grant The grant
+ * @returns The `@grant` line
+ * @example
+ * ```typescript
+ * console.log(grantLine('xmlHttpRequest')) // Logs '// @grant GM.xmlHttpRequest'
+ * ```
+ */
+export const grantLine = (grant: Grant) =>
+  `// @grant ${legacyOnly.includes(grant) ? 'GM_' : 'GM.'}${grant}`
+
+/** Thrown when a function is missing grants and the grant policy is `'throw'` */
+export class MissingGrantError extends Error {
+  constructor(
+    /** The name of the function that needed the grants */
+    public readonly caller: string,
+    /** The grants that are missing */
+    public readonly grants: readonly Grant[],
+  ) {
+    super(
+      `${caller} needs grants that are missing. Add ${
+        grants.length === 1 ? 'this line' : 'these lines'
+      } to the UserScript header:\n${grants.map(grantLine).join('\n')}`,
+    )
+    this.name = 'MissingGrantError'
+  }
+}
+
+/**
+ * Set what functions do when grants are missing, unless a policy is passed to the function.
+ * Defaults to `'fallback'`
+ *
+ * @param policy The policy to use
+ * @example
+ * ```typescript
+ * // Fail loudly instead of using localStorage during development
+ * setGrantPolicy(process.env.NODE_ENV === 'production' ? 'warn' : 'throw')
+ * ```
+ */
+export function setGrantPolicy(policy: GrantPolicy) {
+  globalPolicy = policy
+}
+
+/** Get the policy set with `setGrantPolicy` */
+export const getGrantPolicy = (): GrantPolicy => globalPolicy
+
+/**
+ * Check that the grants a function needs are present, following the grant policy if they aren't.
+ * Missing grants are recorded for `getMissingGrants`
+ *
+ * @param caller The name of the function that needs the grants
+ * @param grants The grants that are needed
+ * @param policy What to do if grants are missing. Defaults to the global policy
+ * @param fallback What is used instead, to include in warnings
+ * @returns Whether or not every grant is present
+ * @throws {MissingGrantError} If grants are missing and the policy is `'throw'`
+ */
+export function requireGrants(
+  caller: string,
+  grants: readonly Grant[],
+  policy: GrantPolicy = globalPolicy,
+  fallback?: string,
+): boolean {
+  const api = gmApi()
+  const missing = grants.filter(grant => typeof api[grant] !== 'function')
+  if (!missing.length) return true
+
+  const error = new MissingGrantError(caller, missing)
+  const id = `${caller}:${missing.join(',')}`
+  const reported = reports.has(id)
+  if (!reported) reports.set(id, { caller, grants: missing })
+
+  if (policy === 'throw') throw error
+  if (policy === 'warn' && !reported)
+    console.warn(
+      fallback ? `${error.message}\nUsing ${fallback} instead` : error.message,
+    )
+  return false
+}
+
+/**
+ * Get the grants that functions have needed but weren't present, whatever the grant policy.
+ * Useful to find out why values are being stored in localStorage
+ *
+ * @returns The missing grants for each function
+ * @example
+ * ```typescript
+ * const values = await getValues({ theme: 'light' }, 'myid')
+ * for (const { caller, grants } of getMissingGrants())
+ *   console.log(`${caller} is missing ${grants.join(', ')}`)
+ * ```
+ */
+export const getMissingGrants = (): MissingGrants[] =>
+  [...reports.values()].map(report => ({
+    ...report,
+    grants: [...report.grants],
+  }))
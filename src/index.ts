@@ -1,18 +1,26 @@
+import { gmApi, Grant } from './compat'
+
+export * from './backup'
 export * from './banner'
+export * from './cache'
+export * from './client'
+export * from './compat'
+export * from './dom'
+export * from './fetch'
+export * from './grants'
+export * from './lock'
+export * from './migrate'
+export * from './namespace'
+export * from './scheduler'
+export * from './schema'
+export * from './settings'
+export * from './storage'
+export * from './validate'
 export * from './xhr'
 export * from './values'
 
 /** Used by functions to check if grants are present */
-export function checkGrants(
-  ...grants: readonly (
-    | 'setValue'
-    | 'getValue'
-    | 'deleteValue'
-    | 'listValues'
-    | 'xmlHttpRequest'
-  )[]
-): boolean {
-  if (!GM) return false
-  if (grants.some(grant => !(grant in GM))) return false
-  return true
+export function checkGrants(...grants: readonly Grant[]): boolean {
+  const api = gmApi()
+  return grants.every(grant => typeof api[grant] === 'function')
 }
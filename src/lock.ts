@@ -0,0 +1,205 @@
+import { GrantOptions } from './grants'
+import { defaultBackend, StorageBackend } from './storage'
+import { lockPrefix, prefixKey } from './utils'
+
+export interface LockOptions extends GrantOptions {
+  /** Where the lock is stored. Defaults to the same backend as other values functions */
+  backend?: StorageBackend
+  /**
+   * How long to wait for the lock before rejecting with a `LockTimeoutError`,
+   * in milliseconds. Defaults to 10 seconds
+   */
+  timeout?: number
+  /**
+   * How long the lock is held for without being renewed, in milliseconds.
+   * The lock is renewed while it's held, so this is how long other tabs wait
+   * if a tab is closed or crashes while holding the lock.
+   * Browsers throttle timers in background tabs, so a short lease can expire
+   * while its holder is still working. Defaults to 30 seconds
+   */
+  lease?: number
+  /**
+   * How long to wait after writing the lock before reading it back to check
+   * that no other tab took it at the same time, in milliseconds.
+   * Should be longer than it takes the backend to store a value. Defaults to 50
+   */
+  settleDelay?: number
+}
+
+/** A lock that is currently held */
+export interface Lock {
+  /** The name of the lock */
+  readonly name: string
+  /**
+   * Whether or not the lock stopped being held before it was released,
+   * such as when it couldn't be renewed or another tab took it after it expired
+   */
+  readonly lost: boolean
+  /** Release the lock so that other tabs can acquire it */
+  release(): Promise<void>
+}
+
+/** Thrown when a lock isn't acquired before the timeout */
+export class LockTimeoutError extends Error {
+  constructor(
+    /** The name of the lock */
+    public readonly lock: string,
+    /** How long was waited for the lock, in milliseconds */
+    public readonly timeout: number,
+  ) {
+    super(`Timed out after ${timeout}ms waiting for lock ${lock}`)
+    this.name = 'LockTimeoutError'
+  }
+}
+
+/** The lock as it's stored */
+interface LockState {
+  /** A random token for the holder of the lock */
+  owner: string
+  /** When the lock stops being held if it isn't renewed */
+  expires: number
+}
+
+/** How long to wait between attempts while another tab holds the lock, in milliseconds */
+const retryDelay = 50
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Requires the `GM.getValue`, `GM.setValue` and `GM.deleteValue` grants
+ * or falls back to localStorage.
+ * Acquire a lock shared between every tab running the script.
+ * Storage has no compare-and-swap, so the lock is written and then read back
+ * after a short delay to check that no other tab took it at the same time.
+ * The lock expires if its holder stops renewing it, such as when a tab is closed.
+ *
+ * This is a best-effort lock. Two tabs can both acquire it if their writes take longer
+ * than `settleDelay` to be stored, or if a holder's renewals are delayed past the `lease`.
+ * It avoids most conflicts, but shouldn't be relied on where running twice would be unsafe
+ *
+ * @param name The name of the lock
+ * @param options Other options, such as how long to wait for the lock
+ * @returns A Promise that resolves with the lock once it's acquired,
+ * or rejects with a `LockTimeoutError`
+ * @example
+ * ```typescript
+ * const lock = await acquireLock('queue')
+ * try {
+ *   // Only one tab runs this at a time
+ * } finally {
+ *   await lock.release()
+ * }
+ * ```
+ */
+export async function acquireLock(
+  name: string,
+  options: LockOptions = {},
+): Promise<Lock> {
+  const { timeout = 10 * 1000, lease = 30 * 1000, settleDelay = 50 } = options
+  const backend =
+    options.backend ??
+    defaultBackend(
+      'acquireLock',
+      ['getValue', 'setValue', 'deleteValue'],
+      options.grantPolicy,
+    )
+
+  const key = prefixKey(name, lockPrefix)
+  const owner = `${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2)}`
+  const deadline = Date.now() + timeout
+
+  const read = async (): Promise<LockState | undefined> => {
+    const stored = await backend.get(key)
+    if (typeof stored !== 'string') return undefined
+    try {
+      return JSON.parse(stored)
+    } catch {
+      return undefined
+    }
+  }
+
+  const write = () =>
+    backend.set(
+      key,
+      JSON.stringify({ owner, expires: Date.now() + lease } as LockState),
+    )
+
+  while (true) {
+    const current = await read()
+
+    if (!current || current.owner === owner || current.expires <= Date.now()) {
+      await write()
+      await sleep(settleDelay)
+      if ((await read())?.owner === owner) break
+    }
+
+    if (Date.now() >= deadline) throw new LockTimeoutError(name, timeout)
+    // Random jitter so that waiting tabs don't keep writing at the same time
+    await sleep(retryDelay + Math.random() * retryDelay)
+  }
+
+  // Renew the lock while it's held so that it only expires if the tab dies.
+  // Renewing often leaves room for timers being throttled in background tabs
+  const renew = setInterval(async () => {
+    try {
+      if ((await read())?.owner !== owner)
+        throw Error('Lock is held by another tab')
+      await write()
+    } catch {
+      lost = true
+      clearInterval(renew)
+    }
+  }, lease / 3)
+
+  let released = false
+  let lost = false
+
+  return {
+    name,
+    get lost() {
+      return lost
+    },
+    async release() {
+      if (released) return
+      released = true
+      clearInterval(renew)
+      if ((await read())?.owner === owner) await backend.delete(key)
+    },
+  }
+}
+
+/**
+ * Requires the `GM.getValue`, `GM.setValue` and `GM.deleteValue` grants
+ * or falls back to localStorage.
+ * Run a function while holding a lock shared between every tab running the script.
+ * The lock is released when the function finishes, even if it throws
+ *
+ * @see {@link acquireLock}
+ * @param name The name of the lock
+ * @param fn The function to run
+ * @param options Other options, such as how long to wait for the lock
+ * @returns A Promise that resolves with the function's result,
+ * or rejects with a `LockTimeoutError` if the lock isn't acquired
+ * @example
+ * ```typescript
+ * await withLock('queue', async () => {
+ *   const queue = JSON.parse((await GM.getValue('queue', '[]')) as string)
+ *   queue.push(location.href)
+ *   await GM.setValue('queue', JSON.stringify(queue))
+ * })
+ * ```
+ */
+export async function withLock<T>(
+  name: string,
+  fn: () => T | Promise<T>,
+  options: LockOptions = {},
+): Promise<T> {
+  const lock = await acquireLock(name, options)
+  try {
+    return await fn()
+  } finally {
+    await lock.release()
+  }
+}
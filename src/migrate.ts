@@ -0,0 +1,212 @@
+import { GrantOptions } from './grants'
+import { withLock } from './lock'
+import { defaultBackend, Serializer, StorageBackend } from './storage'
+import { namespaceKeys, prefixKey, serialization, versionKey } from './utils'
+
+/** Access to the values in an ID's namespace for use in migrations */
+export interface MigrationValues {
+  /** Get a value, resolving with `undefined` if it doesn't exist */
+  get(key: string): Promise<GM.Value | undefined>
+  /** Set a value */
+  set(key: string, value: GM.Value): void
+  /** Delete a value */
+  delete(key: string): void
+  /** List the keys of all values in the namespace, without the ID prefix */
+  list(): Promise<string[]>
+}
+
+/**
+ * A step that migrates values from one version to the next.
+ * Changes made with `set` and `delete` are only saved if the step succeeds
+ */
+export type Migration = (values: MigrationValues) => void | Promise<void>
+
+export interface MigrateOptions extends GrantOptions {
+  /** Where values are stored. Defaults to the same backend as other values functions */
+  backend?: StorageBackend
+  /** How to convert values to strings for backends that can only store strings */
+  serializer?: Serializer
+  /**
+   * How long each step can take, and how long to wait for another tab that is running
+   * the migrations, in milliseconds. Rejects with a `MigrationError` when it runs out.
+   * Defaults to 30 seconds
+   */
+  timeout?: number
+}
+
+/** Thrown when a migration step fails */
+export class MigrationError extends Error {
+  constructor(
+    /** The version that the failed step was migrating to */
+    public readonly version: number,
+    /** The error thrown by the step */
+    public readonly reason: unknown,
+  ) {
+    super(`Migration to version ${version} failed: ${reason}`)
+    this.name = 'MigrationError'
+  }
+}
+
+/** Migrations that are currently running, to avoid running them twice */
+const running = new WeakMap<StorageBackend, Map<string, Promise<number>>>()
+
+/** Reject if a Promise doesn't settle in time */
+const withTimeout = <T>(promise: Promise<T>, ms: number) =>
+  new Promise<T>((resolve, reject) => {
+    const timer = isFinite(ms)
+      ? setTimeout(() => reject(Error(`Timed out after ${ms}ms`)), ms)
+      : undefined
+    promise.then(
+      value => {
+        if (timer) clearTimeout(timer)
+        resolve(value)
+      },
+      err => {
+        if (timer) clearTimeout(timer)
+        reject(err)
+      },
+    )
+  })
+
+/**
+ * Requires the `GM.getValue`, `GM.setValue`, `GM.deleteValue` and `GM.listValues` grants
+ * or falls back to localStorage.
+ * Runs the migrations that haven't been run yet for an ID, in order.
+ * The version is stored under the ID as the number of migrations that have been run.
+ * Each step's changes are only saved once the step succeeds,
+ * so a failed step won't leave values half-written.
+ * Steps run while holding a lock shared between tabs (see `acquireLock`),
+ * so tabs opened at the same time don't run the same steps
+ *
+ * @param id The unique identifier used for the values, as passed to `getValues`
+ * @param migrations The migration steps. The step at index `n` migrates from version `n`
+ * to version `n + 1`. Steps should never be removed or reordered once released
+ * @param options Other options, such as the storage backend to use
+ * @returns A Promise that resolves with the new version,
+ * or rejects with a `MigrationError` if a step fails or times out, or the values can't be stored
+ *
+ * @example
+ * ```typescript
+ * await migrate('myconfig', [
+ *   // Version 1: rename `colour` to `theme`
+ *   async values => {
+ *     const colour = await values.get('colour')
+ *     if (colour !== undefined) values.set('theme', colour)
+ *     values.delete('colour')
+ *   },
+ * ])
+ * ```
+ */
+export function migrate(
+  id: string | undefined,
+  migrations: readonly Migration[],
+  options: MigrateOptions = {},
+): Promise<number> {
+  let backend: StorageBackend
+  try {
+    backend =
+      options.backend ??
+      defaultBackend(
+        'migrate',
+        ['getValue', 'setValue', 'deleteValue', 'listValues'],
+        options.grantPolicy,
+      )
+  } catch (err) {
+    return Promise.reject(err)
+  }
+
+  if (!running.has(backend)) running.set(backend, new Map())
+  const backendRunning = running.get(backend)!
+  const namespace = id ?? ''
+
+  const existing = backendRunning.get(namespace)
+  if (existing) return existing
+
+  const promise = runMigrations(backend, id, migrations, options).finally(() =>
+    backendRunning.delete(namespace),
+  )
+  backendRunning.set(namespace, promise)
+  return promise
+}
+
+async function runMigrations(
+  backend: StorageBackend,
+  id: string | undefined,
+  migrations: readonly Migration[],
+  options: MigrateOptions,
+): Promise<number> {
+  const { toStored, fromStored } = serialization(backend, options.serializer)
+  const { timeout = 30 * 1000 } = options
+  const versionPrefix = prefixKey(versionKey, id)
+
+  const readVersion = async () => {
+    const storedVersion = await backend.get(versionPrefix)
+    return storedVersion === undefined
+      ? 0
+      : Number(fromStored(storedVersion, 0))
+  }
+
+  let version = 0
+  try {
+    // Skip the lock when there's nothing to run
+    version = await readVersion()
+    if (version >= migrations.length) return version
+
+    // Hold a lock shared between tabs so that each step is only run once.
+    // The version is read again once the lock is held, since another tab may have run the steps
+    return await withLock(versionPrefix, () => runSteps(), {
+      backend,
+      grantPolicy: options.grantPolicy,
+      timeout,
+    })
+  } catch (err) {
+    // Failures outside of steps, such as the backend failing, are reported the same way
+    if (err instanceof MigrationError) throw err
+    throw new MigrationError(version + 1, err)
+  }
+
+  async function runSteps() {
+    version = await readVersion()
+
+    while (version < migrations.length) {
+      /** Changes made by the step, with `undefined` meaning the value was deleted */
+      const changes = new Map<string, GM.Value | undefined>()
+
+      const values: MigrationValues = {
+        async get(key) {
+          if (changes.has(key)) return changes.get(key)
+          const value = await backend.get(prefixKey(key, id))
+          return value === undefined ? undefined : fromStored(value)
+        },
+        set: (key, value) => void changes.set(key, value),
+        delete: key => void changes.set(key, undefined),
+        async list() {
+          const keys = new Set(await namespaceKeys(backend, id))
+          for (const [key, value] of changes) {
+            if (value === undefined) keys.delete(key)
+            else keys.add(key)
+          }
+          return [...keys]
+        },
+      }
+
+      try {
+        await withTimeout(Promise.resolve(migrations[version](values)), timeout)
+      } catch (err) {
+        throw new MigrationError(version + 1, err)
+      }
+
+      for (const [key, value] of changes) {
+        const prefix = prefixKey(key, id)
+        if (value === undefined) await backend.delete(prefix)
+        else await backend.set(prefix, toStored(value))
+      }
+
+      version++
+      // The version is saved last so that an interrupted step is run again
+      await backend.set(versionPrefix, toStored(version))
+    }
+
+    return version
+  }
+}
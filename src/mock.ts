@@ -0,0 +1,653 @@
+/** Matches a request by its method, URL and body */
+export interface MockMatch {
+  /** The method of the request. Matches every method if not provided */
+  method?: GM.Request['method']
+  /**
+   * The URL of the request.
+   * Strings can use `*` as a wildcard (eg. `https://example.com/api/*`)
+   */
+  url?: string | RegExp | ((url: string) => boolean)
+  /** The body of the request */
+  body?: string | RegExp | ((body: GM.Request['data']) => boolean)
+}
+
+/** The response to a mocked request */
+export interface MockReply {
+  /** Defaults to 200 */
+  status?: number
+  /** Defaults to `'OK'` */
+  statusText?: string
+  headers?: Record<string, string>
+  /** The response body. Objects other than `ArrayBuffer`s are sent as JSON */
+  body?: string | ArrayBuffer | object
+  /** The URL after redirects. Defaults to the request URL */
+  finalUrl?: string
+  /** Fail the request instead of responding */
+  error?: 'network' | 'timeout' | 'abort'
+  /** How long to wait before responding, in milliseconds. Defaults to 0 */
+  delay?: number
+  /** How many progress events to send while the body downloads. Defaults to 1 */
+  progress?: number
+}
+
+/** A request made to the mock */
+export interface MockCall {
+  request: GM.Request
+  /** The matcher that handled the request, or `undefined` if it was unexpected */
+  match?: MockMatch
+  /** Whether or not the request was aborted */
+  aborted: boolean
+}
+
+/** Thrown when a request doesn't match any mocked route */
+export class UnexpectedRequestError extends Error {
+  constructor(public readonly request: GM.Request) {
+    super(`Unexpected request: ${request.method} ${request.url}`)
+    this.name = 'UnexpectedRequestError'
+  }
+}
+
+/** Mocked routes for requests, and the requests that were made */
+export interface MockRequests {
+  /** Every request that was made, in order */
+  readonly calls: MockCall[]
+  /**
+   * Respond to matching requests. Routes are checked in the order they're added
+   *
+   * @param match What requests to respond to
+   * @param reply The response, or a function that returns it
+   * @param times How many requests to respond to. Defaults to every request
+   */
+  on(
+    match: MockMatch,
+    reply?:
+      | MockReply
+      | ((request: GM.Request) => MockReply | Promise<MockReply>),
+    times?: number,
+  ): this
+  /**
+   * Throw if there were unexpected requests,
+   * or if a route with a number of `times` wasn't used that many times
+   */
+  verify(): void
+  /** Remove every route and recorded call */
+  reset(): void
+}
+
+export interface MockXhr extends MockRequests {
+  /** Remove the mock and restore the previous `GM.xmlHttpRequest` */
+  restore(): void
+}
+
+interface Route {
+  match: MockMatch
+  reply: MockReply | ((request: GM.Request) => MockReply | Promise<MockReply>)
+  /** How many more requests the route can respond to */
+  remaining: number
+  /** Whether or not the route must be used every time before `verify` */
+  required: boolean
+}
+
+/** Convert a URL with `*` wildcards to a RegExp */
+const wildcard = (pattern: string) =>
+  new RegExp(
+    `^${pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')}$`,
+  )
+
+function matches(match: MockMatch, request: GM.Request) {
+  if (match.method && match.method !== request.method.toUpperCase())
+    return false
+
+  const { url, body } = match
+  if (typeof url === 'string' && !wildcard(url).test(request.url)) return false
+  if (url instanceof RegExp && !url.test(request.url)) return false
+  if (typeof url === 'function' && !url(request.url)) return false
+
+  if (typeof body === 'string' && body !== request.data) return false
+  if (body instanceof RegExp && !body.test(String(request.data ?? '')))
+    return false
+  if (typeof body === 'function' && !body(request.data)) return false
+
+  return true
+}
+
+/** Get the size of request data for upload progress events */
+const dataSize = (data: unknown) =>
+  typeof data === 'string'
+    ? new TextEncoder().encode(data).length
+    : data instanceof Blob
+    ? data.size
+    : 0
+
+/** Convert a reply body to the response for a response type */
+function responseBody(body: MockReply['body'], responseType?: string) {
+  const bytes =
+    body instanceof ArrayBuffer
+      ? new Uint8Array(body)
+      : new TextEncoder().encode(
+          typeof body === 'string' || body === undefined
+            ? body ?? ''
+            : JSON.stringify(body),
+        )
+  const text = new TextDecoder().decode(bytes)
+
+  let response: unknown = text
+  if (responseType === 'arraybuffer') response = bytes.slice().buffer
+  else if (responseType === 'blob') response = new Blob([bytes])
+  else if (responseType === 'json') {
+    try {
+      response = JSON.parse(text)
+    } catch {
+      response = null
+    }
+  } else if (responseType === 'stream') {
+    response = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes)
+        controller.close()
+      },
+    })
+  }
+
+  return { text, size: bytes.length, response }
+}
+
+/** Create a fake `GM.xmlHttpRequest` and the routes that it responds with */
+function fakeXhr() {
+  const routes: Route[] = []
+  const calls: MockCall[] = []
+  const unexpected: GM.Request[] = []
+
+  function xmlHttpRequest(request: GM.Request) {
+    const route = routes.find(
+      route => route.remaining > 0 && matches(route.match, request),
+    )
+    const call: MockCall = { request, match: route?.match, aborted: false }
+    calls.push(call)
+
+    if (!route) {
+      unexpected.push(request)
+      throw new UnexpectedRequestError(request)
+    }
+    route.remaining--
+
+    const timers = new Set<ReturnType<typeof setTimeout>>()
+    let done = false
+
+    const later = (ms: number, fn: () => void) => {
+      const timer = setTimeout(() => {
+        timers.delete(timer)
+        fn()
+      }, ms)
+      timers.add(timer)
+    }
+
+    /** Build a response object for event handlers */
+    const state = (
+      readyState: 1 | 2 | 3 | 4,
+      reply: MockReply = {},
+      extra: object = {},
+    ): any => {
+      const headers = Object.entries(reply.headers ?? {})
+        .map(([name, value]) => `${name}: ${value}`)
+        .join('\r\n')
+      return {
+        readyState,
+        status: readyState < 2 ? 0 : reply.status ?? 200,
+        statusText: readyState < 2 ? '' : reply.statusText ?? 'OK',
+        responseHeaders: readyState < 2 ? '' : headers,
+        finalUrl: reply.finalUrl ?? request.url,
+        response: undefined,
+        responseText: '',
+        responseXML: false,
+        context: request.context,
+        ...extra,
+      }
+    }
+
+    /** End the request with an event, such as `onerror` */
+    const fail = (event: 'onerror' | 'ontimeout' | 'onabort') => {
+      if (done) return
+      done = true
+      for (const timer of timers) clearTimeout(timer)
+      const response = state(4)
+      request.onreadystatechange?.(response)
+      request[event]?.(response)
+    }
+
+    const respond = (reply: MockReply) => {
+      const { text, size, response } = responseBody(
+        reply.body,
+        (request as { responseType?: string }).responseType,
+      )
+      const events = Math.max(reply.progress ?? 1, 0)
+
+      later(reply.delay ?? 0, () => {
+        if (done) return
+        if (reply.error === 'network') return fail('onerror')
+        if (reply.error === 'timeout') return fail('ontimeout')
+        if (reply.error === 'abort') return fail('onabort')
+
+        request.onreadystatechange?.(state(2, reply))
+        ;(request as any).onloadstart?.(state(2, reply, { response }))
+
+        for (let event = 1; event <= events; event++) {
+          const loaded = Math.round((size * event) / events)
+          request.onreadystatechange?.(state(3, reply))
+          request.onprogress?.(
+            state(3, reply, { lengthComputable: true, loaded, total: size }),
+          )
+        }
+
+        done = true
+        const loaded = state(4, reply, { response, responseText: text })
+        request.onreadystatechange?.(loaded)
+        request.onload?.(loaded)
+      })
+    }
+
+    // Start asynchronously like a real request
+    later(0, async () => {
+      request.onreadystatechange?.(state(1))
+
+      const size = dataSize(request.data)
+      if (size) {
+        const uploaded = state(1, {}, { lengthComputable: true, total: size })
+        request.upload?.onprogress?.({ ...uploaded, loaded: size })
+        request.upload?.onload?.(uploaded)
+      }
+
+      try {
+        const reply =
+          typeof route.reply === 'function'
+            ? await route.reply(request)
+            : route.reply
+        respond(reply)
+      } catch {
+        fail('onerror')
+      }
+    })
+
+    // Time out like a real request if the reply takes too long
+    if (request.timeout) later(request.timeout, () => fail('ontimeout'))
+
+    return {
+      abort() {
+        if (done) return
+        call.aborted = true
+        fail('onabort')
+      },
+    }
+  }
+
+  const requests: MockRequests = {
+    calls,
+
+    on(match, reply = {}, times) {
+      routes.push({
+        match,
+        reply,
+        remaining: times ?? Infinity,
+        required: times !== undefined,
+      })
+      return requests
+    },
+
+    verify() {
+      const problems = unexpected.map(
+        request => `Unexpected request: ${request.method} ${request.url}`,
+      )
+      for (const route of routes) {
+        if (route.required && route.remaining > 0)
+          problems.push(
+            `Expected ${
+              route.remaining
+            } more request(s) matching ${JSON.stringify(
+              route.match,
+              (_, value) => (value instanceof RegExp ? String(value) : value),
+            )}`,
+          )
+      }
+      if (problems.length) throw new Error(problems.join('\n'))
+    },
+
+    reset() {
+      routes.length = 0
+      calls.length = 0
+      unexpected.length = 0
+    },
+  }
+
+  return { xmlHttpRequest, requests }
+}
+
+/** Install properties on an object, returning a function to restore the previous ones */
+function install(target: any, properties: Record<string, unknown>) {
+  const previous = Object.keys(properties).map(key => ({
+    key,
+    had: key in target,
+    value: target[key],
+  }))
+  Object.assign(target, properties)
+
+  return () => {
+    for (const { key, had, value } of previous) {
+      if (had) target[key] = value
+      else delete target[key]
+    }
+  }
+}
+
+/**
+ * Install a fake `GM.xmlHttpRequest` (and `GM_xmlhttpRequest`) that responds to requests
+ * with mocked responses, so that code using `xhrPromise` can be tested without a
+ * UserScript manager or a network.
+ * Responses go through the same `readyState` changes and events as real requests.
+ * Requests that don't match a route fail with an `UnexpectedRequestError`
+ *
+ * @param target The object to install the mock on. Defaults to `globalThis`
+ * @returns The mock
+ * @example
+ * ```typescript
+ * import { mockXhr } from 'greasetools/lib/mock'
+ *
+ * const mock = mockXhr()
+ *   .on({ method: 'GET', url: 'https://example.com/api/*' }, { body: { id: 1 } })
+ *   .on({ url: /flaky/ }, { error: 'network' }, 1)
+ *
+ * const response = await xhrPromise({ method: 'GET', url: 'https://example.com/api/user' })
+ * assert.deepEqual(JSON.parse(response.responseText), { id: 1 })
+ * assert.equal(mock.calls.length, 1)
+ *
+ * mock.verify()
+ * mock.restore()
+ * ```
+ */
+export function mockXhr(target: any = globalThis): MockXhr {
+  const { xmlHttpRequest, requests } = fakeXhr()
+  const restore = install(target, {
+    GM: { ...target.GM, xmlHttpRequest },
+    GM_xmlhttpRequest: xmlHttpRequest,
+  })
+
+  return Object.assign(requests, { restore })
+}
+
+/** Every grant that `mockGM` can provide */
+const allGrants = [
+  'GM.getValue',
+  'GM.setValue',
+  'GM.deleteValue',
+  'GM.listValues',
+  'GM.xmlHttpRequest',
+  'GM.getResourceUrl',
+  'GM.notification',
+  'GM.setClipboard',
+  'GM.openInTab',
+  'GM.registerMenuCommand',
+  'GM_getValue',
+  'GM_setValue',
+  'GM_deleteValue',
+  'GM_listValues',
+  'GM_addValueChangeListener',
+  'GM_removeValueChangeListener',
+  'GM_xmlhttpRequest',
+  'GM_getResourceURL',
+  'GM_notification',
+  'GM_setClipboard',
+  'GM_openInTab',
+  'GM_registerMenuCommand',
+] as const
+
+export type MockGrant = typeof allGrants[number]
+
+export interface MockGMOptions {
+  /**
+   * The grants to provide, using the names from `@grant` (eg. `GM.getValue` or `GM_getValue`).
+   * `GM.info` and `GM_info` are always provided. Defaults to every grant
+   */
+  grants?: readonly MockGrant[]
+  /** The values that are stored to begin with, and after `reset` */
+  values?: Record<string, GM.Value>
+  /** The URLs for `@resource`s, by name */
+  resources?: Record<string, string>
+  /** Information about the script, used for `GM.info` */
+  script?: Partial<GM.ScriptInfo>
+  /** The name of the fake UserScript manager. Defaults to `'Greasemonkey'` */
+  scriptHandler?: string
+  /** The object to install the environment on. Defaults to `globalThis` */
+  target?: any
+}
+
+export interface MockNotification {
+  text: string
+  title?: string
+  image?: string
+  onclick?: () => void
+}
+
+export interface MockGM {
+  /** The stored values, which can be read and changed directly */
+  readonly values: Map<string, GM.Value>
+  /** Mocked routes for `GM.xmlHttpRequest`, and the requests that were made */
+  readonly xhr: MockRequests
+  /** Every notification that was shown */
+  readonly notifications: MockNotification[]
+  /** Every value copied to the clipboard */
+  readonly clipboard: string[]
+  /** Every tab that was opened */
+  readonly tabs: { url: string; openInBackground?: boolean }[]
+  /** The registered menu commands, by caption */
+  readonly menuCommands: Map<string, () => void>
+  /**
+   * Change a value as if another tab changed it,
+   * calling listeners added with `GM_addValueChangeListener`
+   */
+  setRemoteValue(key: string, value: GM.Value | undefined): void
+  /** Reset the values, recorded calls, menu commands and routes between tests */
+  reset(): void
+  /** Remove the environment and restore the previous globals */
+  restore(): void
+}
+
+/**
+ * Install a fake Greasemonkey environment, so that UserScripts and GreaseTools
+ * can run under Node.js or jsdom.
+ * Values are stored in memory, and other functions record their calls
+ * so that they can be checked by tests.
+ * Legacy `GM_*` functions are also provided, and are synchronous like they are in managers
+ *
+ * @param options Options such as the grants to provide and the values to start with
+ * @returns The environment
+ * @example
+ * ```typescript
+ * import { mockGM } from 'greasetools/lib/mock'
+ *
+ * const gm = mockGM({
+ *   grants: ['GM.getValue', 'GM.setValue', 'GM.xmlHttpRequest'],
+ *   values: { 'myconfig.theme': 'dark' },
+ * })
+ * gm.xhr.on({ url: 'https://example.com/*' }, { body: 'Hello' })
+ *
+ * const values = await getValues({ theme: 'light' }, 'myconfig')
+ * assert.equal(values.theme, 'dark')
+ *
+ * gm.reset()
+ * gm.restore()
+ * ```
+ */
+export function mockGM(options: MockGMOptions = {}): MockGM {
+  const {
+    grants = allGrants,
+    values: initialValues = {},
+    resources = {},
+    scriptHandler = 'Greasemonkey',
+    target = globalThis,
+  } = options
+
+  const values = new Map(Object.entries(initialValues))
+  const { xmlHttpRequest, requests } = fakeXhr()
+  const notifications: MockNotification[] = []
+  const clipboard: string[] = []
+  const tabs: MockGM['tabs'] = []
+  const menuCommands = new Map<string, () => void>()
+
+  type ChangeListener = (
+    name: string,
+    oldValue: GM.Value | undefined,
+    newValue: GM.Value | undefined,
+    remote: boolean,
+  ) => void
+  const changeListeners = new Map<number, [string, ChangeListener]>()
+  let nextListenerId = 0
+
+  const change = (
+    key: string,
+    value: GM.Value | undefined,
+    remote: boolean,
+  ) => {
+    const oldValue = values.get(key)
+    if (value === undefined) values.delete(key)
+    else values.set(key, value)
+
+    if (oldValue === value) return
+    for (const [name, listener] of changeListeners.values())
+      if (name === key) listener(key, oldValue, value, remote)
+  }
+
+  const checkValue = (value: unknown) => {
+    if (!['string', 'number', 'boolean'].includes(typeof value))
+      throw TypeError(
+        `Values must be strings, numbers or booleans, got ${value}`,
+      )
+    return value as GM.Value
+  }
+
+  const scriptResources = Object.fromEntries(
+    Object.entries(resources).map(([name, url]) => [
+      name,
+      { name, mimetype: '', url },
+    ]),
+  )
+  const info = {
+    script: {
+      name: 'Test',
+      namespace: '',
+      description: '',
+      version: '1.0.0',
+      includes: [],
+      excludes: [],
+      matches: [],
+      resources: scriptResources,
+      runAt: 'end',
+      uuid: '00000000-0000-0000-0000-000000000000',
+      ...options.script,
+    },
+    scriptMetaStr: '',
+    scriptHandler,
+    version: '4.0',
+  }
+
+  const getResourceUrl = (name: string) => {
+    if (!(name in resources)) throw Error(`No resource named ${name}`)
+    return resources[name]
+  }
+
+  const notification = (
+    details: string | MockNotification,
+    title?: string,
+    image?: string,
+    onclick?: () => void,
+  ) =>
+    void notifications.push(
+      typeof details === 'string'
+        ? { text: details, title, image, onclick }
+        : details,
+    )
+
+  const openInTab = (url: string, background?: boolean | object) => {
+    tabs.push({
+      url,
+      openInBackground:
+        typeof background === 'object'
+          ? !(background as { active?: boolean }).active
+          : background,
+    })
+    return { close() {}, closed: false, onclose: null }
+  }
+
+  const registerMenuCommand = (caption: string, fn: () => void) =>
+    void menuCommands.set(caption, fn)
+
+  /** Every function, by the name of its grant */
+  const functions: Record<MockGrant, unknown> = {
+    'GM.getValue': async (key: string, defaultValue?: GM.Value) =>
+      values.has(key) ? values.get(key) : defaultValue,
+    'GM.setValue': async (key: string, value: GM.Value) =>
+      change(key, checkValue(value), false),
+    'GM.deleteValue': async (key: string) => change(key, undefined, false),
+    'GM.listValues': async () => [...values.keys()],
+    'GM.xmlHttpRequest': xmlHttpRequest,
+    'GM.getResourceUrl': async (name: string) => getResourceUrl(name),
+    'GM.notification': notification,
+    'GM.setClipboard': async (text: string) => void clipboard.push(text),
+    'GM.openInTab': openInTab,
+    'GM.registerMenuCommand': registerMenuCommand,
+
+    GM_getValue: (key: string, defaultValue?: GM.Value) =>
+      values.has(key) ? values.get(key) : defaultValue,
+    GM_setValue: (key: string, value: GM.Value) =>
+      change(key, checkValue(value), false),
+    GM_deleteValue: (key: string) => change(key, undefined, false),
+    GM_listValues: () => [...values.keys()],
+    GM_addValueChangeListener(key: string, listener: ChangeListener) {
+      changeListeners.set(++nextListenerId, [key, listener])
+      return nextListenerId
+    },
+    GM_removeValueChangeListener: (id: number) =>
+      void changeListeners.delete(id),
+    GM_xmlhttpRequest: xmlHttpRequest,
+    GM_getResourceURL: getResourceUrl,
+    GM_notification: notification,
+    GM_setClipboard: (text: string) => void clipboard.push(text),
+    GM_openInTab: openInTab,
+    GM_registerMenuCommand: registerMenuCommand,
+  }
+
+  const GM: Record<string, unknown> = { info }
+  const globals: Record<string, unknown> = { GM, GM_info: info }
+  for (const grant of grants) {
+    if (grant.startsWith('GM.')) GM[grant.slice(3)] = functions[grant]
+    else globals[grant] = functions[grant]
+  }
+
+  const restore = install(target, globals)
+
+  return {
+    values,
+    xhr: requests,
+    notifications,
+    clipboard,
+    tabs,
+    menuCommands,
+
+    setRemoteValue: (key, value) => change(key, value, true),
+
+    reset() {
+      values.clear()
+      for (const [key, value] of Object.entries(initialValues))
+        values.set(key, value)
+      requests.reset()
+      notifications.length = 0
+      clipboard.length = 0
+      tabs.length = 0
+      menuCommands.clear()
+      changeListeners.clear()
+    },
+
+    restore,
+  }
+}
@@ -0,0 +1,104 @@
+import { defaultBackend, StorageBackend } from './storage'
+import { namespaceKeys, prefixKey } from './utils'
+
+/**
+ * The values stored under an ID.
+ * Keys are used without the ID prefix, so a namespace can be passed as the backend
+ * to values functions
+ */
+export interface Namespace extends StorageBackend {
+  /** The ID that all keys are prefixed with */
+  readonly id: string
+  /** Get a namespace nested under this one (eg. `sub` -> `myconfig.sub`) */
+  namespace(id: string): Namespace
+  /**
+   * Delete every value in the namespace, including nested namespaces.
+   * Migration versions are kept, so migrations aren't run on the defaults again
+   */
+  clear(): Promise<void>
+  /**
+   * Move every value in the namespace and its migration version to a different ID,
+   * overwriting any existing values.
+   * The new ID can be anywhere, including under a different parent namespace,
+   * except inside this namespace. Renaming to the same ID does nothing
+   *
+   * @returns The namespace for the new ID
+   * @throws {TypeError} If the new ID is inside this namespace
+   */
+  rename(id: string): Promise<Namespace>
+}
+
+/**
+ * Requires the `GM.getValue`, `GM.setValue`, `GM.deleteValue` and `GM.listValues` grants
+ * or falls back to localStorage.
+ * Get the values stored under an ID, using the same `id.key` format as other values functions
+ *
+ * @param id The unique identifier for the values
+ * @param backend Where values are stored. Defaults to the same backend as other values functions
+ * @returns A namespace for the ID
+ * @example
+ * ```typescript
+ * const config = namespace('myconfig')
+ *
+ * console.log(await config.list()) // Logs ['theme', 'filters.enabled', ...]
+ * await config.namespace('filters').clear() // Deletes myconfig.filters.*
+ *
+ * // Pass the namespace as a backend to use values functions without an ID
+ * const values = await getValues({ theme: 'light' }, undefined, false, {
+ *   backend: config,
+ * })
+ * ```
+ */
+export function namespace(
+  id: string,
+  backend: StorageBackend = defaultBackend('namespace', [
+    'getValue',
+    'setValue',
+    'deleteValue',
+    'listValues',
+  ]),
+): Namespace {
+  const list = () => namespaceKeys(backend, id)
+
+  const self: Namespace = {
+    id,
+    stringOnly: backend.stringOnly,
+
+    get: key => backend.get(prefixKey(key, id)),
+    set: (key, value) => backend.set(prefixKey(key, id), value),
+    delete: key => backend.delete(prefixKey(key, id)),
+    list,
+    watch: backend.watch
+      ? (key, listener) => backend.watch!(prefixKey(key, id), listener)
+      : undefined,
+
+    namespace: subId => namespace(prefixKey(subId, id), backend),
+
+    async clear() {
+      for (const key of await list()) await backend.delete(prefixKey(key, id))
+    },
+
+    async rename(newId) {
+      if (newId === id) return self
+      // Keys would be moved onto keys that are still being moved
+      if (newId.startsWith(`${id}.`))
+        throw TypeError(
+          `Can't rename namespace ${id} to ${newId}, which is inside it`,
+        )
+
+      // The migration version is moved too, so migrations aren't run again
+      for (const key of await namespaceKeys(backend, id, true)) {
+        const value = await backend.get(prefixKey(key, id))
+        if (value === undefined) continue
+
+        // Write the new value before deleting the old one so nothing is lost on failure
+        await backend.set(prefixKey(key, newId), value)
+        await backend.delete(prefixKey(key, id))
+      }
+
+      return namespace(newId, backend)
+    },
+  }
+
+  return self
+}
@@ -0,0 +1,338 @@
+import { GrantOptions } from './grants'
+import { withLock } from './lock'
+import { defaultBackend, StorageBackend } from './storage'
+import { parseHeaders, prefixKey } from './utils'
+import { XhrAbortError, XhrOptions, xhrPromise } from './xhr'
+
+/** Limits for the requests to a host */
+export interface HostLimits {
+  /** How many requests can run at once. Defaults to 4 */
+  concurrency: number
+  /** How many requests can be started per `interval`. Defaults to no limit */
+  rate: number
+  /** The interval for `rate`, in milliseconds. Defaults to 1 second */
+  interval: number
+  /** How many requests can be started at once after being idle. Defaults to `rate` */
+  burst: number
+}
+
+export interface SchedulerOptions extends Partial<HostLimits>, GrantOptions {
+  /** Limits for specific hosts (eg. `api.example.com`), used instead of the defaults */
+  hosts?: Record<string, Partial<HostLimits>>
+  /**
+   * How many times to retry a request after a 429 or 503 response with a `Retry-After` header.
+   * Other requests to the host wait until the time in the header. Defaults to 3
+   */
+  rateLimitRetries?: number
+  /**
+   * The longest `Retry-After` to wait for, in milliseconds.
+   * Responses asking to wait longer are resolved instead. Defaults to 1 minute
+   */
+  maxRetryAfter?: number
+  /**
+   * A unique identifier to share rate limits between every tab running the script.
+   * The rate limits are stored under the ID. Concurrency limits are still for each tab
+   */
+  shared?: string
+  /** Where shared rate limits are stored. Defaults to the same backend as other values functions */
+  backend?: StorageBackend
+}
+
+export interface ScheduledRequestOptions extends XhrOptions {
+  /** Requests with a higher priority are started first. Defaults to 0 */
+  priority?: number
+}
+
+export interface Scheduler {
+  /**
+   * Queue a request with `xhrPromise`, starting it once the host's limits allow it.
+   * Aborting the signal removes a request from the queue
+   *
+   * @see {@link xhrPromise}
+   */
+  request<Request extends GM.Request = GM.Request>(
+    xhrInfo: Request,
+    options?: ScheduledRequestOptions,
+  ): Promise<GM.Response<Request>>
+  /** The number of requests that are queued or running */
+  readonly size: number
+}
+
+/** The token bucket for a host, which is stored when it's shared */
+interface Bucket {
+  tokens: number
+  /** When tokens were last added */
+  updated: number
+  /** When requests can start again after a `Retry-After` */
+  pausedUntil: number
+}
+
+interface Job {
+  xhrInfo: GM.Request
+  options: ScheduledRequestOptions
+  priority: number
+  /** How many times the request has been retried after a `Retry-After` */
+  retries: number
+  resolve(response: GM.Response<any>): void
+  reject(reason: unknown): void
+}
+
+interface Host {
+  limits: HostLimits
+  bucket: Bucket
+  queue: Job[]
+  active: number
+  /** Whether or not requests are being started */
+  pumping: boolean
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Get how long to wait from a `Retry-After` header, in milliseconds.
+ * The header can be a number of seconds or a date
+ */
+function retryAfter(response: GM.Response<any>): number | undefined {
+  const header = parseHeaders(response.responseHeaders ?? '').find(
+    ([name]) => name.toLowerCase() === 'retry-after',
+  )?.[1]
+  if (!header) return undefined
+
+  const seconds = Number(header)
+  if (!isNaN(seconds)) return Math.max(seconds * 1000, 0)
+
+  const date = Date.parse(header)
+  return isNaN(date) ? undefined : Math.max(date - Date.now(), 0)
+}
+
+/**
+ * Take a token from a bucket, adding the tokens earned since it was last updated
+ *
+ * @returns How long to wait before trying again, or 0 if a token was taken
+ */
+function takeToken(bucket: Bucket, limits: HostLimits, now: number) {
+  if (now < bucket.pausedUntil) return bucket.pausedUntil - now
+  if (limits.rate === Infinity) return 0
+
+  const earned = ((now - bucket.updated) * limits.rate) / limits.interval
+  bucket.tokens = Math.min(limits.burst, bucket.tokens + earned)
+  bucket.updated = now
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens--
+    return 0
+  }
+  return Math.ceil(((1 - bucket.tokens) * limits.interval) / limits.rate)
+}
+
+/**
+ * Requires the GM.xmlHttpRequest grant, and the `GM.getValue`, `GM.setValue`
+ * and `GM.deleteValue` grants or localStorage for shared limits.
+ * Create a scheduler that queues requests to limit how many run at once
+ * and how often they start for each host.
+ * Rate limits use a token bucket, so short bursts are allowed after being idle
+ *
+ * @param options The limits for every host, and for specific hosts
+ * @returns The scheduler
+ * @example
+ * ```typescript
+ * const scheduler = createScheduler({
+ *   concurrency: 2,
+ *   rate: 5,
+ *   hosts: { 'api.example.com': { rate: 1 } },
+ *   shared: 'scraper',
+ * })
+ *
+ * const pages = await Promise.all(
+ *   [1, 2, 3].map(page =>
+ *     scheduler.request({
+ *       method: 'GET',
+ *       url: `https://api.example.com/items?page=${page}`,
+ *     }),
+ *   ),
+ * )
+ * ```
+ */
+export function createScheduler(options: SchedulerOptions = {}): Scheduler {
+  const {
+    hosts: hostLimits = {},
+    rateLimitRetries = 3,
+    maxRetryAfter = 60 * 1000,
+    shared,
+  } = options
+  const backend = shared
+    ? options.backend ??
+      defaultBackend(
+        'createScheduler',
+        ['getValue', 'setValue', 'deleteValue'],
+        options.grantPolicy,
+      )
+    : undefined
+
+  const hosts = new Map<string, Host>()
+  let size = 0
+
+  const getHost = (name: string) => {
+    let host = hosts.get(name)
+    if (!host) {
+      const limits = { ...options, ...hostLimits[name] }
+      const {
+        concurrency = 4,
+        rate = Infinity,
+        interval = 1000,
+        burst = rate,
+      } = limits
+
+      host = {
+        limits: { concurrency, rate, interval, burst },
+        bucket: { tokens: burst, updated: Date.now(), pausedUntil: 0 },
+        queue: [],
+        active: 0,
+        pumping: false,
+      }
+      hosts.set(name, host)
+    }
+    return host
+  }
+
+  /** Run a function with a host's bucket, using the stored bucket if it's shared */
+  const withBucket = async <T>(
+    name: string,
+    fn: (bucket: Bucket) => T,
+  ): Promise<T> => {
+    const host = getHost(name)
+    if (!shared || !backend) return fn(host.bucket)
+
+    const key = prefixKey(name, shared)
+    return withLock(
+      key,
+      async () => {
+        const stored = await backend.get(key)
+        let bucket = host.bucket
+        if (typeof stored === 'string') {
+          try {
+            bucket = JSON.parse(stored)
+          } catch {}
+        }
+
+        const result = fn(bucket)
+        await backend.set(key, JSON.stringify(bucket))
+        return result
+      },
+      { backend },
+    )
+  }
+
+  const enqueue = (host: Host, job: Job) => {
+    const index = host.queue.findIndex(queued => queued.priority < job.priority)
+    if (index === -1) host.queue.push(job)
+    else host.queue.splice(index, 0, job)
+  }
+
+  const run = async (name: string, host: Host, job: Job) => {
+    try {
+      const response = await xhrPromise(job.xhrInfo, job.options)
+
+      if (
+        (response.status === 429 || response.status === 503) &&
+        job.retries < rateLimitRetries
+      ) {
+        const delay = retryAfter(response)
+        if (delay !== undefined && delay <= maxRetryAfter) {
+          // Pause every request to the host, then try again
+          const until = Date.now() + delay
+          await withBucket(name, bucket => {
+            bucket.pausedUntil = Math.max(bucket.pausedUntil, until)
+          })
+          job.retries++
+          enqueue(host, job)
+          return
+        }
+      }
+
+      size--
+      job.resolve(response)
+    } catch (err) {
+      size--
+      job.reject(err)
+    } finally {
+      host.active--
+      pump(name)
+    }
+  }
+
+  /** Start queued requests for a host while its limits allow it */
+  async function pump(name: string) {
+    const host = getHost(name)
+    if (host.pumping) return
+    host.pumping = true
+
+    try {
+      while (host.queue.length && host.active < host.limits.concurrency) {
+        const wait = await withBucket(name, bucket =>
+          takeToken(bucket, host.limits, Date.now()),
+        )
+        if (wait > 0) {
+          await sleep(wait)
+          continue
+        }
+
+        // The queue may have changed while waiting for a token
+        const job = host.queue.shift()
+        if (!job) break
+        host.active++
+        run(name, host, job)
+      }
+    } catch (err) {
+      // Fail the queued requests if the shared limits can't be used
+      for (const job of host.queue.splice(0)) {
+        size--
+        job.reject(err)
+      }
+    } finally {
+      host.pumping = false
+    }
+  }
+
+  return {
+    request(xhrInfo, requestOptions = {}) {
+      return new Promise((resolve, reject) => {
+        const { signal, priority = 0 } = requestOptions
+        if (signal?.aborted) return reject(new XhrAbortError(xhrInfo.url))
+
+        const name = new URL(xhrInfo.url, location.href).host
+        const host = getHost(name)
+        const job: Job = {
+          xhrInfo,
+          options: requestOptions,
+          priority,
+          retries: 0,
+          resolve,
+          reject,
+        }
+
+        // Remove the request from the queue if it's aborted before it starts.
+        // Once it has started, xhrPromise handles the signal
+        signal?.addEventListener(
+          'abort',
+          () => {
+            const index = host.queue.indexOf(job)
+            if (index === -1) return
+            host.queue.splice(index, 1)
+            size--
+            reject(new XhrAbortError(xhrInfo.url))
+          },
+          { once: true },
+        )
+
+        size++
+        enqueue(host, job)
+        pump(name)
+      })
+    },
+
+    get size() {
+      return size
+    },
+  }
+}
@@ -0,0 +1,239 @@
+export interface StringField {
+  type: 'string'
+  default?: string
+  /** The allowed values */
+  enum?: readonly string[]
+  /** A pattern that the value must match */
+  pattern?: RegExp
+}
+
+export interface NumberField {
+  type: 'number'
+  default?: number
+  /** The allowed values */
+  enum?: readonly number[]
+  min?: number
+  max?: number
+  /** Whether or not the value must be an integer */
+  integer?: boolean
+}
+
+export interface BooleanField {
+  type: 'boolean'
+  default?: boolean
+}
+
+export interface ArrayField {
+  type: 'array'
+  default?: readonly unknown[]
+  /** The schema for every item in the array */
+  items?: SchemaField
+  /** The minimum length of the array */
+  min?: number
+  /** The maximum length of the array */
+  max?: number
+}
+
+export interface ObjectField {
+  type: 'object'
+  default?: { readonly [key: string]: unknown }
+  /** The schema for the properties of the object */
+  properties?: { readonly [key: string]: SchemaField }
+}
+
+export type SchemaField =
+  | StringField
+  | NumberField
+  | BooleanField
+  | ArrayField
+  | ObjectField
+
+/** A schema for a values object. Every top-level field needs a default */
+export type Schema = {
+  readonly [key: string]: SchemaField & { default: unknown }
+}
+
+/** The type of a value described by a schema field */
+export type FieldValue<Field> = Field extends {
+  type: 'string' | 'number'
+  enum: readonly (infer Allowed)[]
+}
+  ? Allowed
+  : Field extends { type: 'string' }
+  ? string
+  : Field extends { type: 'number' }
+  ? number
+  : Field extends { type: 'boolean' }
+  ? boolean
+  : Field extends { type: 'array'; items: infer Items }
+  ? FieldValue<Items>[]
+  : Field extends { type: 'array' }
+  ? unknown[]
+  : Field extends { type: 'object'; properties: infer Properties }
+  ? { -readonly [Key in keyof Properties]: FieldValue<Properties[Key]> }
+  : Field extends { type: 'object' }
+  ? Record<string, unknown>
+  : never
+
+/** A values object described by a schema */
+export type SchemaValues<S extends Schema> = {
+  -readonly [Key in keyof S]: FieldValue<S[Key]>
+}
+
+export type FieldResult =
+  | { valid: true; value: unknown }
+  | { valid: false; reason: string }
+
+/** Called when a value fails validation */
+export type InvalidValueCallback = (
+  key: string,
+  value: unknown,
+  reason: string,
+) => void
+
+const invalid = (reason: string): FieldResult => ({ valid: false, reason })
+
+/** Parse JSON, returning undefined if the JSON is invalid */
+function tryParse(text: string): unknown {
+  try {
+    return JSON.parse(text)
+  } catch {
+    return undefined
+  }
+}
+
+/** Copy a default, so that changing a value doesn't change the schema's default */
+const copyDefault = <T>(value: T): T =>
+  typeof value === 'object' && value !== null
+    ? JSON.parse(JSON.stringify(value))
+    : value
+
+/**
+ * Check a value against a schema field, coercing it to the field's type if possible.
+ * Numbers and booleans stored as strings are converted,
+ * and arrays and objects are parsed from JSON strings
+ *
+ * @param field The schema field to check against
+ * @param value The value to check
+ * @returns An object with the coerced value, or with the reason the value is invalid
+ *
+ * @example
+ * ```typescript
+ * const result = checkField({ type: 'number', min: 0 }, '42')
+ * if (result.valid) console.log(result.value) // Logs 42
+ * ```
+ */
+export function checkField(field: SchemaField, value: unknown): FieldResult {
+  switch (field.type) {
+    case 'string': {
+      if (typeof value === 'number' || typeof value === 'boolean')
+        value = String(value)
+      if (typeof value !== 'string') return invalid('Expected a string')
+
+      if (field.enum && !field.enum.includes(value))
+        return invalid(`Expected one of: ${field.enum.join(', ')}`)
+      if (field.pattern && !field.pattern.test(value))
+        return invalid(`Expected a string matching ${field.pattern}`)
+
+      return { valid: true, value }
+    }
+
+    case 'number': {
+      if (typeof value === 'string' && value.trim()) value = Number(value)
+      if (typeof value !== 'number' || isNaN(value))
+        return invalid('Expected a number')
+
+      if (field.enum && !field.enum.includes(value))
+        return invalid(`Expected one of: ${field.enum.join(', ')}`)
+      if (field.integer && !Number.isInteger(value))
+        return invalid('Expected an integer')
+      if (field.min !== undefined && value < field.min)
+        return invalid(`Expected a number of at least ${field.min}`)
+      if (field.max !== undefined && value > field.max)
+        return invalid(`Expected a number of at most ${field.max}`)
+
+      return { valid: true, value }
+    }
+
+    case 'boolean': {
+      if (value === 'true' || value === 'false') value = value === 'true'
+      if (typeof value !== 'boolean') return invalid('Expected a boolean')
+      return { valid: true, value }
+    }
+
+    case 'array': {
+      if (typeof value === 'string') value = tryParse(value)
+      if (!Array.isArray(value)) return invalid('Expected an array')
+
+      if (field.min !== undefined && value.length < field.min)
+        return invalid(`Expected at least ${field.min} items`)
+      if (field.max !== undefined && value.length > field.max)
+        return invalid(`Expected at most ${field.max} items`)
+
+      if (!field.items) return { valid: true, value }
+
+      const items: unknown[] = []
+      for (const [index, item] of value.entries()) {
+        const result = checkField(field.items, item)
+        if (!result.valid) return invalid(`[${index}]: ${result.reason}`)
+        items.push(result.value)
+      }
+      return { valid: true, value: items }
+    }
+
+    case 'object': {
+      if (typeof value === 'string') value = tryParse(value)
+      if (typeof value !== 'object' || value === null || Array.isArray(value))
+        return invalid('Expected an object')
+
+      if (!field.properties) return { valid: true, value }
+
+      const object: Record<string, unknown> = { ...value }
+      for (const [key, property] of Object.entries(field.properties)) {
+        // Use the property's default if it's missing
+        const propertyValue =
+          key in object ? object[key] : copyDefault(property.default as unknown)
+        const result = checkField(property, propertyValue)
+        if (!result.valid) return invalid(`.${key}: ${result.reason}`)
+        object[key] = result.value
+      }
+      return { valid: true, value: object }
+    }
+  }
+}
+
+/**
+ * Get the defaults from a schema, to be passed to `getValues`
+ *
+ * @param schema The schema to get the defaults from
+ * @returns A values object with a copy of the default from every field
+ *
+ * @example
+ * ```typescript
+ * const schema = {
+ *   theme: { type: 'string', enum: ['light', 'dark'], default: 'light' },
+ *   volume: { type: 'number', min: 0, max: 100, default: 50 },
+ * } as const
+ *
+ * const values = await getValues(schemaDefaults(schema), undefined, false, {
+ *   schema,
+ *   onInvalid: (key, value, reason) => console.warn(key, value, reason),
+ * })
+ * ```
+ */
+export function schemaDefaults<S extends Schema>(schema: S): SchemaValues<S> {
+  const defaults: Record<string, unknown> = {}
+  for (const [key, field] of Object.entries(schema)) {
+    defaults[key] = copyDefault(field.default)
+  }
+  return defaults as SchemaValues<S>
+}
+
+/**
+ * Convert a value to the form stored for a schema field.
+ * Arrays and objects are stored as JSON strings so that they work with every backend
+ */
+export const toStoredField = (field: SchemaField, value: unknown): GM.Value =>
+  field.type === 'array' || field.type === 'object'
+    ? JSON.stringify(value)
+    : (value as GM.Value)
@@ -0,0 +1,302 @@
+import { gmApi } from './compat'
+import type { Schema } from './schema'
+import { onValuesChange } from './values'
+
+/** How to show a value in the settings panel */
+export interface SettingsField {
+  /** The label for the input. Defaults to the key as words (eg. `darkMode` -> `Dark mode`) */
+  label?: string
+  /** Extra text shown under the input */
+  description?: string
+  /** The allowed values, shown as a select */
+  options?: readonly (string | number)[]
+}
+
+export interface SettingsPanelOptions<Keys extends string = string> {
+  /** The title of the panel. Defaults to `'Settings'` */
+  title?: string
+  /** How to show each value. Values without a field use the defaults */
+  fields?: Partial<Record<Keys, SettingsField>>
+  /**
+   * The schema passed to `valuesProxy`, if any.
+   * Used to show selects for enums and limits for numbers
+   */
+  schema?: Schema
+  /**
+   * Register a menu command to open the panel, using the `GM.registerMenuCommand` grant.
+   * Pass a string to use it as the menu command's caption instead of the title
+   */
+  menuCommand?: boolean | string
+  /** The element to add the panel to. Defaults to `document.body` */
+  parent?: Element
+}
+
+export interface SettingsPanel {
+  /** The element that the panel's Shadow DOM is attached to */
+  readonly host: HTMLElement
+  /** Open the panel */
+  open(): void
+  /** Close the panel */
+  close(): void
+  /** Remove the panel from the page and stop listening for changes */
+  destroy(): void
+}
+
+const styles = `
+:host {
+  all: initial;
+}
+.overlay {
+  position: fixed;
+  inset: 0;
+  z-index: 2147483647;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: rgba(0, 0, 0, 0.4);
+  font: 14px/1.4 system-ui, sans-serif;
+  color: #222;
+}
+.overlay[hidden] {
+  display: none;
+}
+.panel {
+  min-width: 280px;
+  max-width: 90vw;
+  max-height: 90vh;
+  overflow: auto;
+  padding: 16px;
+  border-radius: 8px;
+  background: #fff;
+  box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+}
+h2 {
+  margin: 0 0 12px;
+  font-size: 18px;
+}
+label {
+  display: block;
+  margin-bottom: 12px;
+}
+label.checkbox {
+  display: flex;
+  gap: 8px;
+  align-items: center;
+}
+input:not([type='checkbox']),
+select {
+  display: block;
+  box-sizing: border-box;
+  width: 100%;
+  margin-top: 4px;
+  padding: 4px;
+  font: inherit;
+}
+[aria-invalid='true'] {
+  outline: 2px solid #d33;
+}
+small {
+  display: block;
+  color: #666;
+}
+button {
+  font: inherit;
+}
+`
+
+/** Convert a key to words for a label (eg. `darkMode` -> `Dark mode`) */
+const keyLabel = (key: string) => {
+  const words = key
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .toLowerCase()
+  return words.charAt(0).toUpperCase() + words.slice(1)
+}
+
+/** Create an element with properties */
+function element<K extends keyof HTMLElementTagNameMap>(
+  tag: K,
+  properties: Partial<HTMLElementTagNameMap[K]> = {},
+  ...children: (Node | string)[]
+): HTMLElementTagNameMap[K] {
+  const el = Object.assign(document.createElement(tag), properties)
+  el.append(...children)
+  return el
+}
+
+/**
+ * Create a settings panel with an input for every value in a values object.
+ * Booleans use checkboxes, numbers use number inputs, strings use text inputs,
+ * and values with allowed options use selects.
+ * Arrays and objects aren't shown.
+ * Changes are written through the values object, so they're stored and validated
+ * like any other change. The panel is in a Shadow DOM so page styles don't affect it
+ *
+ * @param values A values object returned by `valuesProxy`
+ * @param options Other options, such as labels for the values
+ * @returns The panel, which starts closed
+ * @example
+ * ```typescript
+ * const values = valuesProxy(
+ *   await getValues({ darkMode: false, volume: 50, theme: 'blue' }, 'myconfig'),
+ *   'myconfig',
+ * )
+ *
+ * settingsPanel(values, {
+ *   fields: {
+ *     volume: { description: 'From 0 to 100' },
+ *     theme: { options: ['blue', 'green', 'red'] },
+ *   },
+ *   menuCommand: true,
+ * })
+ * ```
+ */
+export function settingsPanel<Keys extends string>(
+  values: Record<Keys, any>,
+  options: SettingsPanelOptions<Keys> = {},
+): SettingsPanel {
+  const { title = 'Settings', schema } = options
+  const fields: SettingsPanelOptions<Keys>['fields'] = options.fields ?? {}
+
+  const host = element('div')
+  const shadow = host.attachShadow({ mode: 'closed' })
+
+  const form = element('form')
+  const panel = element(
+    'div',
+    { className: 'panel' },
+    element('h2', { textContent: title }),
+    form,
+    element('button', { type: 'button', textContent: 'Close', onclick: close }),
+  )
+  const overlay = element('div', { className: 'overlay', hidden: true }, panel)
+  shadow.append(element('style', { textContent: styles }), overlay)
+
+  // Close when clicking outside the panel or pressing Escape
+  overlay.addEventListener('click', event => {
+    if (event.target === overlay) close()
+  })
+  overlay.addEventListener('keydown', event => {
+    if (event.key === 'Escape') close()
+  })
+  form.addEventListener('submit', event => event.preventDefault())
+
+  /** Functions to show the current value in each input */
+  const updaters = new Map<string, () => void>()
+
+  for (const key of Object.keys(values) as Keys[]) {
+    const value = values[key]
+    if (typeof value === 'object' && value !== null) continue
+
+    const field: SettingsField = fields[key] ?? {}
+    const schemaField = schema?.[key]
+    const allowed =
+      field.options ??
+      (schemaField?.type === 'string' || schemaField?.type === 'number'
+        ? schemaField.enum
+        : undefined)
+
+    let input: HTMLInputElement | HTMLSelectElement
+    let read: () => unknown
+    let update: () => void
+
+    if (allowed) {
+      const select = element(
+        'select',
+        {},
+        ...allowed.map(option =>
+          element('option', {
+            value: String(option),
+            textContent: String(option),
+          }),
+        ),
+      )
+      // Options are strings in the DOM, so use the index to get the original value
+      read = () => allowed[select.selectedIndex]
+      update = () => (select.selectedIndex = allowed.indexOf(values[key]))
+      input = select
+    } else if (typeof value === 'boolean') {
+      const checkbox = element('input', { type: 'checkbox' })
+      read = () => checkbox.checked
+      update = () => (checkbox.checked = values[key])
+      input = checkbox
+    } else {
+      const text = element('input', {
+        type: typeof value === 'number' ? 'number' : 'text',
+      })
+
+      if (schemaField?.type === 'number') {
+        if (schemaField.min !== undefined) text.min = String(schemaField.min)
+        if (schemaField.max !== undefined) text.max = String(schemaField.max)
+        if (schemaField.integer) text.step = '1'
+      } else if (typeof value === 'number') {
+        text.step = 'any'
+      }
+
+      read = () =>
+        typeof value !== 'number'
+          ? text.value
+          : isNaN(text.valueAsNumber)
+          ? undefined
+          : text.valueAsNumber
+      update = () => (text.value = String(values[key]))
+      input = text
+    }
+
+    input.name = key
+    input.addEventListener('change', () => {
+      const newValue = read()
+      // The values object rejects invalid values, such as ones that fail the schema
+      const valid = newValue !== undefined && Reflect.set(values, key, newValue)
+      input.setAttribute('aria-invalid', String(!valid))
+    })
+
+    const label = element('label', {}, field.label ?? keyLabel(key))
+    if (input.type === 'checkbox') {
+      label.className = 'checkbox'
+      label.prepend(input)
+    } else {
+      label.append(input)
+    }
+    if (field.description)
+      label.append(element('small', { textContent: field.description }))
+    form.append(label)
+
+    update()
+    updaters.set(key, () => {
+      update()
+      input.removeAttribute('aria-invalid')
+    })
+  }
+
+  // Keep inputs up to date with changes made elsewhere, such as by other tabs
+  const unsubscribe = onValuesChange(values, key => updaters.get(key)?.())
+
+  function open() {
+    if (!host.isConnected) (options.parent ?? document.body).append(host)
+    for (const update of updaters.values()) update()
+    overlay.hidden = false
+    form.querySelector<HTMLElement>('input, select')?.focus()
+  }
+
+  function close() {
+    overlay.hidden = true
+  }
+
+  const { registerMenuCommand } = gmApi()
+  if (options.menuCommand && registerMenuCommand) {
+    const caption =
+      typeof options.menuCommand === 'string' ? options.menuCommand : title
+    registerMenuCommand(caption, open)
+  }
+
+  return {
+    host,
+    open,
+    close,
+    destroy() {
+      unsubscribe()
+      host.remove()
+    },
+  }
+}
@@ -0,0 +1,264 @@
+import { gmApi, Grant } from './compat'
+import { GrantPolicy, requireGrants } from './grants'
+
+/**
+ * Called when a stored value changes
+ *
+ * @param newValue The new stored value, or `undefined` if it was deleted
+ * @param remote Whether or not the change was made by another tab
+ */
+export type WatchListener = (
+  newValue: GM.Value | undefined,
+  remote: boolean,
+) => void
+
+/** A place to store values, used by all values functions */
+export interface StorageBackend {
+  /** Get a value, resolving with `undefined` if it doesn't exist */
+  get(key: string): Promise<GM.Value | undefined>
+  /** Set a value */
+  set(key: string, value: GM.Value): Promise<void>
+  /** Delete a value */
+  delete(key: string): Promise<void>
+  /** List the keys of all stored values */
+  list(): Promise<string[]>
+  /**
+   * Whether or not the backend can only store strings.
+   * Values functions serialize values before storing them in these backends
+   */
+  readonly stringOnly?: boolean
+  /**
+   * Whether or not the storage is shared with the page, such as localStorage.
+   * Values that aren't under an ID can't be told apart from the page's own data
+   */
+  readonly shared?: boolean
+  /**
+   * Listen for changes to a value, if the backend supports it
+   *
+   * @returns A function to stop listening
+   */
+  watch?(key: string, listener: WatchListener): () => void
+}
+
+/** Converts values to and from strings for backends that can only store strings */
+export interface Serializer {
+  serialize(value: GM.Value): string
+  deserialize(text: string): GM.Value
+}
+
+export interface MemoryBackend extends StorageBackend {
+  /** The stored values, which can be inspected or modified directly */
+  readonly store: Map<string, GM.Value>
+}
+
+/**
+ * Requires the `GM.getValue`, `GM.setValue`, `GM.deleteValue` and `GM.listValues` grants,
+ * or the legacy `GM_*` grants.
+ * Stores values with Greasemonkey.
+ * Changes can be watched if the manager provides `GM_addValueChangeListener`
+ */
+export const gmBackend: StorageBackend = {
+  get: key => gmApi().getValue!(key),
+  set: (key, value) => gmApi().setValue!(key, value),
+  delete: key => gmApi().deleteValue!(key),
+  list: () => gmApi().listValues!(),
+  watch(key, listener) {
+    const { addValueChangeListener, removeValueChangeListener } = gmApi()
+    if (!addValueChangeListener) return () => {}
+
+    const listenerId = addValueChangeListener(key, (_, __, newValue, remote) =>
+      listener(newValue, remote),
+    )
+    return () => removeValueChangeListener?.(listenerId)
+  },
+}
+
+/**
+ * Create a backend that stores values in a Web Storage object.
+ * Only strings can be stored, so values functions serialize values for this backend.
+ * The storage is shared with the page, so functions that work with every value need an ID
+ *
+ * @param getStorage A function returning the Storage object to use.
+ * Called on every operation so that the Storage object isn't accessed until it's needed
+ * @returns A storage backend using the Storage object
+ */
+export function webStorageBackend(getStorage: () => Storage): StorageBackend {
+  return {
+    stringOnly: true,
+    shared: true,
+    async get(key) {
+      return getStorage().getItem(key) ?? undefined
+    },
+    async set(key, value) {
+      if (typeof value !== 'string')
+        throw TypeError(
+          'Only strings are supported for values when Web Storage is being used',
+        )
+      getStorage().setItem(key, value)
+    },
+    async delete(key) {
+      getStorage().removeItem(key)
+    },
+    async list() {
+      return Object.keys(getStorage())
+    },
+    /** Uses the `storage` event, which only fires for changes made by other tabs */
+    watch(key, listener) {
+      const handler = (event: StorageEvent) => {
+        if (event.storageArea === getStorage() && event.key === key)
+          listener(event.newValue ?? undefined, true)
+      }
+
+      window.addEventListener('storage', handler)
+      return () => window.removeEventListener('storage', handler)
+    },
+  }
+}
+
+/** Stores values in `localStorage`. Values are serialized by values functions */
+export const localStorageBackend = webStorageBackend(() => localStorage)
+
+/** Stores values in `sessionStorage`. Values are serialized by values functions */
+export const sessionStorageBackend = webStorageBackend(() => sessionStorage)
+
+/**
+ * Serializes values with JSON.
+ * Text that isn't valid JSON, such as a string stored before values were serialized,
+ * is deserialized as-is
+ */
+export const jsonSerializer: Serializer = {
+  serialize: value => JSON.stringify(value),
+  deserialize(text) {
+    try {
+      const value = JSON.parse(text)
+      if (['string', 'number', 'boolean'].includes(typeof value)) return value
+    } catch {}
+    return text
+  },
+}
+
+/**
+ * Create a backend that stores values in IndexedDB.
+ * Useful for values that are too large for other backends.
+ * The database is opened for each request, and is upgraded to add the object store
+ * if it doesn't have it, so backends with different stores can share a database
+ *
+ * @param name The name of the database
+ * @param storeName The name of the object store in the database
+ * @returns A storage backend using IndexedDB
+ */
+export function indexedDBBackend(
+  name = 'greasetools',
+  storeName = 'values',
+): StorageBackend {
+  /**
+   * Open the database, upgrading it to add the object store if it doesn't have it yet,
+   * such as when another backend created the database with a different store
+   */
+  const open = (version?: number): Promise<IDBDatabase> =>
+    new Promise<IDBDatabase>((resolve, reject) => {
+      const request = indexedDB.open(name, version)
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName))
+          request.result.createObjectStore(storeName)
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).then(
+      database => {
+        if (database.objectStoreNames.contains(storeName)) return database
+        database.close()
+        return open(database.version + 1)
+      },
+      (err: DOMException | null) => {
+        // Another backend upgraded the database first
+        if (version && err?.name === 'VersionError') return open()
+        throw err
+      },
+    )
+
+  /**
+   * Run a request on the object store and resolve with its result.
+   * The connection is closed once the request is done, so that it never blocks
+   * other backends from upgrading the database
+   */
+  const run = async <T>(
+    mode: IDBTransactionMode,
+    makeRequest: (store: IDBObjectStore) => IDBRequest<T>,
+  ): Promise<T> => {
+    const database = await open()
+    const store = database.transaction(storeName, mode).objectStore(storeName)
+
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(store)
+      // The connection closes once the transaction is done
+      database.close()
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  return {
+    get: key => run('readonly', store => store.get(key)),
+    async set(key, value) {
+      await run('readwrite', store => store.put(value, key))
+    },
+    async delete(key) {
+      await run('readwrite', store => store.delete(key))
+    },
+    async list() {
+      const keys = await run('readonly', store => store.getAllKeys())
+      return keys.map(key => key.toString())
+    },
+  }
+}
+
+/**
+ * Create a backend that stores values in memory.
+ * Values are lost when the page is closed, which makes this useful for testing
+ *
+ * @param initial Values to start with
+ * @returns A storage backend using a Map
+ *
+ * @example
+ * ```typescript
+ * const backend = memoryBackend({ message: 'Hello, World!' })
+ * const values = await getValues({ message: '' }, undefined, false, { backend })
+ *
+ * console.log(values.message) // Logs 'Hello, World!'
+ * ```
+ */
+export function memoryBackend(
+  initial: Record<string, GM.Value> = {},
+): MemoryBackend {
+  const store = new Map(Object.entries(initial))
+
+  return {
+    store,
+    get: async key => store.get(key),
+    set: async (key, value) => void store.set(key, value),
+    delete: async key => void store.delete(key),
+    list: async () => [...store.keys()],
+  }
+}
+
+/**
+ * Get the backend to use when none is provided.
+ * Uses Greasemonkey if the grants are present, otherwise follows the grant policy,
+ * falling back to localStorage unless it's `'throw'`
+ *
+ * @param caller The name of the function that needs a backend, used in diagnostics
+ * @param grants The grants needed to use Greasemonkey
+ * @param policy What to do if grants are missing. Defaults to the global policy
+ * @returns The backend to use
+ * @throws {MissingGrantError} If grants are missing and the policy is `'throw'`
+ * @see {@link setGrantPolicy}
+ */
+export const defaultBackend = (
+  caller: string,
+  grants: readonly Grant[],
+  policy?: GrantPolicy,
+): StorageBackend =>
+  requireGrants(caller, grants, policy, 'localStorage')
+    ? gmBackend
+    : localStorageBackend
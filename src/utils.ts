@@ -0,0 +1,83 @@
+import { jsonSerializer, Serializer, StorageBackend } from './storage'
+
+/** Prefix a key with an ID, if there is one (eg. `foo` -> `myconfig.foo`) */
+export const prefixKey = (key: string, prefix: string | undefined) =>
+  prefix ? `${prefix}.${key}` : key
+
+/** The key, without the ID prefix, that the migration version is stored under */
+export const versionKey = '__version'
+
+/** The prefix that locks are stored under, kept out of other IDs */
+export const lockPrefix = '__lock'
+
+/**
+ * Whether or not a key without the ID prefix is used by GreaseTools itself,
+ * including the migration versions of IDs inside it
+ */
+export const isInternal = (key: string) =>
+  key === versionKey ||
+  key.endsWith(`.${versionKey}`) ||
+  key.startsWith(`${lockPrefix}.`)
+
+/**
+ * List the keys of all values stored under an ID, without the ID prefix.
+ * Lists every key if there is no ID
+ *
+ * @param internal Whether or not to include the keys that migrations and locks are stored under
+ */
+export async function namespaceKeys(
+  backend: StorageBackend,
+  id: string | undefined,
+  internal = false,
+): Promise<string[]> {
+  let keys = await backend.list()
+  if (id) {
+    keys = keys
+      .filter(key => key.startsWith(`${id}.`))
+      .map(key => key.slice(id.length + 1))
+  }
+
+  return internal ? keys : keys.filter(key => !isInternal(key))
+}
+
+/**
+ * Get functions to convert values to and from the form stored in a backend.
+ * Values are only serialized for backends that can only store strings
+ */
+export function serialization(
+  backend: StorageBackend,
+  serializer: Serializer = jsonSerializer,
+) {
+  return {
+    toStored: (value: GM.Value): GM.Value =>
+      backend.stringOnly ? serializer.serialize(value) : value,
+
+    /**
+     * @param stored The value from the backend
+     * @param expected The current or default value, used to keep strings that were
+     * stored before values were serialized
+     */
+    fromStored(stored: GM.Value, expected?: GM.Value): GM.Value {
+      if (!backend.stringOnly || typeof stored !== 'string') return stored
+      const value = serializer.deserialize(stored)
+      // Raw strings like '42' would otherwise be read back as other types
+      if (typeof expected === 'string' && typeof value !== 'string')
+        return stored
+      return value
+    },
+  }
+}
+
+/** Parse the headers string from a Greasemonkey Response object into names and values */
+export function parseHeaders(raw: string): [string, string][] {
+  const headers: [string, string][] = []
+  for (const line of raw.trim().split(/[\r\n]+/)) {
+    const separator = line.indexOf(':')
+    if (separator <= 0) continue
+    headers.push([
+      line.slice(0, separator).trim(),
+      line.slice(separator + 1).trim(),
+    ])
+  }
+  return headers
+}
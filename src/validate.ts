@@ -0,0 +1,229 @@
+import type { MetadataObject } from './banner'
+
+export interface MetadataIssue {
+  /** The metadata key that the issue was found on, without the `@` */
+  key: string
+  /** A description of the issue */
+  message: string
+  /** The value that caused the issue, if any */
+  value?: string
+}
+
+export interface MetadataValidation {
+  /** Whether or not the metadata had no errors. Warnings don't affect this */
+  valid: boolean
+  /** Issues that will likely break the UserScript or cause it to be rejected */
+  errors: MetadataIssue[]
+  /** Issues that probably won't break anything but are likely to be mistakes */
+  warnings: MetadataIssue[]
+}
+
+/** Keys that most UserScript managers recognize */
+const knownKeys = new Set([
+  'antifeature',
+  'author',
+  'compatible',
+  'connect',
+  'contributionAmount',
+  'contributionURL',
+  'copyright',
+  'defaulticon',
+  'description',
+  'downloadURL',
+  'exclude',
+  'exclude-match',
+  'grant',
+  'homepage',
+  'homepageURL',
+  'icon',
+  'icon64',
+  'icon64URL',
+  'iconURL',
+  'incompatible',
+  'include',
+  'inject-into',
+  'license',
+  'match',
+  'name',
+  'namespace',
+  'nocompat',
+  'noframes',
+  'require',
+  'resource',
+  'run-at',
+  'sandbox',
+  'source',
+  'supportURL',
+  'tag',
+  'unwrap',
+  'updateURL',
+  'version',
+  'webRequest',
+  'website',
+])
+
+/** Keys that can have a locale suffix (eg. `@name:fr`) */
+const localizableKeys = new Set(['antifeature', 'description', 'name'])
+
+/** Keys that are expected to be used without a value */
+const flagKeys = new Set(['nocompat', 'noframes', 'unwrap'])
+
+/** Keys that may only be used once */
+const singleKeys = new Set([
+  'description',
+  'downloadURL',
+  'homepage',
+  'homepageURL',
+  'icon',
+  'inject-into',
+  'name',
+  'namespace',
+  'run-at',
+  'sandbox',
+  'updateURL',
+  'version',
+])
+
+const requiredKeys = ['name', 'namespace', 'version']
+
+/** Allowed values for keys that only accept specific values */
+const enumValues: Record<string, readonly string[]> = {
+  'inject-into': ['auto', 'content', 'page'],
+  'run-at': [
+    'context-menu',
+    'document-body',
+    'document-end',
+    'document-idle',
+    'document-menu',
+    'document-start',
+  ],
+  sandbox: ['DOM', 'JavaScript', 'raw'],
+}
+
+const knownGrants = new Set([
+  'none',
+  'unsafeWindow',
+  'window.close',
+  'window.focus',
+  'window.onurlchange',
+])
+
+const grantPattern = /^GM[._][A-Za-z]+$/
+
+const matchPattern =
+  /^(?:<all_urls>|(?:\*|https?|wss?|ftp|urn):\/\/(?:\*|(?:\*\.)?[^/*:]+)(?::(?:\d+|\*))?\/.*|file:\/\/\/.*)$/
+
+const semverPattern =
+  /^(?:0|[1-9]\d*)\.(?:0|[1-9]\d*)\.(?:0|[1-9]\d*)(?:-[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/
+
+/**
+ * Check a metadata object for mistakes before it's used to generate a banner.
+ * Errors are issues that will likely break the UserScript, such as a missing `@name`,
+ * an invalid `@run-at` value or a malformed `@match` pattern.
+ * Warnings are issues such as unknown keys, duplicate values or a non-semver `@version`
+ *
+ * @param metaValues The metadata to check, such as the object passed to `genBanner`
+ * @returns An object with the errors and warnings found
+ *
+ * @example
+ * ```typescript
+ * const { valid, errors, warnings } = validateMetadata({
+ *   name: 'Example',
+ *   namespace: 'https://example.com',
+ *   version: '1.0.0',
+ *   'run-at': 'document-begin',
+ * })
+ *
+ * console.log(valid) // Logs false
+ * console.log(errors[0].message) // Logs the issue with @run-at
+ * ```
+ */
+export function validateMetadata(
+  metaValues: MetadataObject,
+): MetadataValidation {
+  const errors: MetadataIssue[] = []
+  const warnings: MetadataIssue[] = []
+
+  for (const key of requiredKeys) {
+    if (!metaValues[key])
+      errors.push({ key, message: `Missing required key @${key}` })
+  }
+
+  for (const [key, value] of Object.entries(metaValues)) {
+    if (!value) continue
+
+    const [baseKey, locale] = key.split(':', 2)
+    const values =
+      value === true
+        ? []
+        : typeof value === 'string'
+        ? [value]
+        : (value.filter(val => val) as string[])
+
+    if (!/^[A-Za-z][\w-]*(?::[A-Za-z-]+)?$/.test(key)) {
+      errors.push({ key, message: `Invalid key name @${key}` })
+      continue
+    }
+
+    if (locale !== undefined && !localizableKeys.has(baseKey))
+      warnings.push({ key, message: `@${baseKey} can't be localized` })
+    else if (!knownKeys.has(baseKey))
+      warnings.push({ key, message: `Unknown key @${key}` })
+
+    if (value === true) {
+      if (!flagKeys.has(baseKey))
+        errors.push({ key, message: `@${key} requires a value` })
+      continue
+    }
+
+    if (singleKeys.has(baseKey) && values.length > 1)
+      errors.push({ key, message: `@${key} may only have one value` })
+
+    const seen = new Set<string>()
+    for (const val of values) {
+      if (seen.has(val))
+        warnings.push({
+          key,
+          message: `Duplicate value for @${key}`,
+          value: val,
+        })
+      seen.add(val)
+
+      if (baseKey in enumValues && !enumValues[baseKey].includes(val)) {
+        errors.push({
+          key,
+          message: `Invalid value for @${key}. Expected one of: ${enumValues[
+            baseKey
+          ].join(', ')}`,
+          value: val,
+        })
+      }
+
+      if (
+        (baseKey === 'match' || baseKey === 'exclude-match') &&
+        !matchPattern.test(val)
+      ) {
+        errors.push({ key, message: 'Malformed match pattern', value: val })
+      }
+
+      if (
+        baseKey === 'grant' &&
+        !knownGrants.has(val) &&
+        !grantPattern.test(val)
+      ) {
+        warnings.push({ key, message: 'Unknown grant', value: val })
+      }
+
+      if (baseKey === 'version' && !semverPattern.test(val))
+        warnings.push({ key, message: "Version isn't semver", value: val })
+    }
+
+    if (baseKey === 'grant' && seen.has('none') && seen.size > 1)
+      errors.push({
+        key,
+        message: "@grant none can't be used with other grants",
+      })
+  }
+
+  return { valid: !errors.length, errors, warnings }
+}
@@ -1,4 +1,16 @@
-import { checkGrants } from '.'
+import { GrantOptions, MissingGrantError } from './grants'
+import { LockOptions, withLock } from './lock'
+import { migrate, Migration, MigrationError } from './migrate'
+import {
+  checkField,
+  FieldResult,
+  InvalidValueCallback,
+  Schema,
+  SchemaValues,
+  toStoredField,
+} from './schema'
+import { defaultBackend, Serializer, StorageBackend } from './storage'
+import { prefixKey, serialization } from './utils'
 
 export type ValuesObject<Keys extends string = string> = Record<Keys, GM.Value>
 export type ValuesPromiseObject<Keys extends string = string> = Record<
@@ -6,19 +18,159 @@ export type ValuesPromiseObject<Keys extends string = string> = Record<
   Promise<GM.Value>
 >
 
-/** Ensure that the values passed are all strings for use with `localStorage` */
-function ensureString(values: readonly any[]) {
-  for (const value of Object.values(values)) {
-    if (typeof value !== 'string')
-      throw TypeError(
-        'Only strings are supported for values when localStorage is being used',
-      )
-  }
+/** A value including arrays and objects, which are stored as JSON */
+export type NestedValue =
+  | GM.Value
+  | NestedValue[]
+  | { [key: string]: NestedValue }
+
+export interface ValuesOptions extends GrantOptions {
+  /**
+   * Where to store values. Defaults to Greasemonkey if the needed grants are present,
+   * or localStorage if they aren't and the grant policy allows it
+   */
+  backend?: StorageBackend
+  /**
+   * How to convert values to strings for backends that can only store strings,
+   * such as the localStorage fallback. Defaults to JSON
+   */
+  serializer?: Serializer
+  /**
+   * A schema to check values against.
+   * Values that fail validation are replaced with their default when read,
+   * sets that fail validation are rejected by `valuesProxy`,
+   * and nested changes that fail validation are undone in deep mode
+   */
+  schema?: Schema
+  /** Called when a value fails validation against the schema */
+  onInvalid?: InvalidValueCallback
+  /**
+   * Migrations to run with `migrate` before `getValues` reads any values.
+   * Only used by `getValues`
+   */
+  migrations?: readonly Migration[]
+  /**
+   * Called if a migration fails. Values are then read as they were before the failed step.
+   * If this isn't provided, `getValues` rejects with the error instead
+   */
+  onMigrationError?: (error: MigrationError) => void
+  /**
+   * Whether or not `valuesProxy` should update the values object when values are changed
+   * by other tabs. Uses `GM_addValueChangeListener` with Greasemonkey if it's available,
+   * or the `storage` event with localStorage. Only used by `valuesProxy`
+   */
+  sync?: boolean
+  /** A signal to stop syncing with. Only used by `valuesProxy` */
+  signal?: AbortSignal
+  /**
+   * Whether or not `valuesProxy` should also store values when nested objects and arrays
+   * are modified (eg. `values.settings.theme = 'dark'` or `values.list.push(1)`).
+   * All changes made in the same tick are stored together.
+   * Only used by `valuesProxy`
+   */
+  deep?: boolean
 }
 
-const prefixKey = (key: string, prefix: string | undefined) =>
-  prefix ? `${prefix}.${key}` : key
+/**
+ * Called when a value in a values object changes
+ *
+ * @param key The key that changed
+ * @param newValue The new value, or `undefined` if it was deleted
+ * @param oldValue The value before the change
+ * @param remote Whether or not the change was made by another tab
+ */
+export type ValuesChangeListener<Keys extends string = string> = (
+  key: Keys,
+  newValue: any,
+  oldValue: any,
+  remote: boolean,
+) => void
+
+/** Listeners for each Proxy from `valuesProxy` */
+const changeListeners = new WeakMap<object, Set<ValuesChangeListener<any>>>()
+
+export interface UpdateValueOptions<T extends NestedValue = NestedValue>
+  extends ValuesOptions,
+    LockOptions {
+  /**
+   * The value passed to the update function if nothing is stored.
+   * Also used to read arrays and objects, which are stored as JSON
+   */
+  default?: T
+}
+
+/** Options for values functions using a schema */
+export type SchemaOptions<S extends Schema> = ValuesOptions & { schema: S }
+
+/**
+ * Check a value against the schema field for a key.
+ * Values are always valid if there is no schema or no field for the key
+ */
+function checkValue(
+  options: ValuesOptions,
+  key: string,
+  value: unknown,
+): FieldResult {
+  const field = options.schema?.[key]
+  if (!field) return { valid: true, value }
+
+  const result = checkField(field, value)
+  if (!result.valid) options.onInvalid?.(key, value, result.reason)
+  return result
+}
 
+/**
+ * Convert a value to the form stored in a backend for a key.
+ * Arrays and objects are stored as JSON so that they work with every backend,
+ * so they aren't serialized again for backends that can only store strings
+ */
+function encodeValue(
+  options: ValuesOptions,
+  key: string,
+  value: unknown,
+  toStored: (value: GM.Value) => GM.Value,
+): GM.Value {
+  if (typeof value !== 'object' || value === null)
+    return toStored(value as GM.Value)
+
+  const field = options.schema?.[key]
+  return field ? toStoredField(field, value) : JSON.stringify(value)
+}
+
+/**
+ * Convert a stored value back to the type of the current or default value
+ * and check it against the schema
+ */
+function decodeValue(
+  options: ValuesOptions,
+  key: string,
+  value: GM.Value,
+  expected: unknown,
+): FieldResult {
+  if (
+    typeof expected === 'object' &&
+    expected !== null &&
+    typeof value === 'string'
+  ) {
+    try {
+      return checkValue(options, key, JSON.parse(value))
+    } catch {}
+  }
+  return checkValue(options, key, value)
+}
+
+/**
+ * Retrieves values checked against a schema, with types inferred from the schema.
+ * Stored values that fail validation are replaced with their default
+ *
+ * @see {@link schemaDefaults}
+ */
+export function getValues<S extends Schema>(
+  defaults: SchemaValues<S>,
+  id: string | undefined,
+  setDefaults: boolean,
+  options: SchemaOptions<S>,
+): Promise<SchemaValues<S>>
 /**
  * Requires the `GM.getValue` grant or falls back to using localStorage.
  * Retrieves values from GreaseMonkey based on the generic type provided
@@ -30,6 +182,7 @@ const prefixKey = (key: string, prefix: string | undefined) =>
  * on the returned object
  * @param setDefaults Whether or not to store the default value from the defaults argument
  * with `GM.setValue` if it doesn't exist. Requires the `GM.setValue` grant
+ * @param options Other options, such as the storage backend to use
  * @returns A Promise that resolves to an object with all of the values
  *
  * @example
@@ -49,76 +202,92 @@ const prefixKey = (key: string, prefix: string | undefined) =>
 export function getValues<Keys extends string>(
   defaults: ValuesObject<Keys>,
   id?: string,
+  setDefaults?: boolean,
+  options?: ValuesOptions,
+): Promise<ValuesObject<Keys>>
+/** Retrieves values that include arrays and objects, which are stored as JSON */
+export function getValues<Values extends Record<string, NestedValue>>(
+  defaults: Values,
+  id?: string,
+  setDefaults?: boolean,
+  options?: ValuesOptions,
+): Promise<Values>
+export async function getValues<Keys extends string>(
+  defaults: Record<Keys, any>,
+  id?: string,
   setDefaults = false,
+  options: ValuesOptions = {},
 ): Promise<ValuesObject<Keys>> {
-  return new Promise<ValuesObject<Keys>>((resolve, reject) => {
-    const values = defaults
-
-    const grants = setDefaults
-      ? checkGrants('getValue')
-      : checkGrants('getValue', 'setValue')
-
-    if (!grants) ensureString(Object.values(values))
-
-    if (grants) {
-      /**
-       * Returns a promise with the value returned from GM.getValue.
-       * If no value exists, sets the value to the provided default
-       * and returns that
-       *
-       * @returns A Promise with the original key and the retrieved value
-       */
-      const getWithDefault = <Key extends Keys>(
-        key: Key,
-        defaultValue: GM.Value,
-        id?: string,
-      ): Promise<[key: Key, value: GM.Value]> => {
-        return new Promise(async resolve => {
-          const prefix = prefixKey(key, id)
-
-          const value = await GM.getValue(prefix)
-          // Resolve with the value if found
-          if (value) return resolve([key, value])
-
-          // Set the value if setDefaults argument is passed
-          if (setDefaults) await GM.setValue(key, defaultValue)
-
-          // Resolve with the default value
-          return resolve([key, defaultValue])
-        })
-      }
+  if (options.migrations) {
+    const { backend, serializer, grantPolicy } = options
+    await migrate(id, options.migrations, {
+      backend,
+      serializer,
+      grantPolicy,
+    }).catch((err: MigrationError) => {
+      // Missing grants aren't a failed migration
+      if (!options.onMigrationError || err instanceof MissingGrantError)
+        throw err
+      options.onMigrationError(err)
+    })
+  }
 
-      const promises: ReturnType<typeof getWithDefault>[] = []
+  const backend =
+    options.backend ??
+    defaultBackend(
+      'getValues',
+      setDefaults ? ['getValue', 'setValue'] : ['getValue'],
+      options.grantPolicy,
+    )
+  const { toStored, fromStored } = serialization(backend, options.serializer)
 
-      for (const [key, value] of Object.entries(defaults) as [
-        Keys,
-        GM.Value,
-      ][]) {
-        promises.push(getWithDefault(key, value, id))
-      }
+  /**
+   * Returns a promise with the value returned from the backend.
+   * If no value exists, sets the value to the provided default
+   * and returns that
+   *
+   * @returns A Promise with the original key and the retrieved value
+   */
+  const getWithDefault = async <Key extends Keys>(
+    key: Key,
+    defaultValue: GM.Value,
+  ): Promise<[key: Key, value: GM.Value]> => {
+    const prefix = prefixKey(key, id)
 
-      Promise.all(promises)
-        .then(retrievedValues => {
-          const returnedValues: Partial<ValuesObject<Keys>> = {}
-          for (const [key, value] of retrievedValues) {
-            returnedValues[key] = value
-          }
-          resolve(returnedValues as ValuesObject<Keys>)
-        })
-        .catch(reason => reject(reason))
-    } else {
-      const returnedValues: Partial<ValuesObject<Keys>> = {}
-      for (const [key, defaultValue] of Object.entries(defaults) as [
-        Keys,
-        string,
-      ][]) {
-        const value = localStorage.getItem(key)
-        if (value === null && setDefaults)
-          localStorage.setItem(key, defaultValue)
-        returnedValues[key] = value ?? defaultValue
-      }
-      resolve(returnedValues as ValuesObject<Keys>)
+    const value = await backend.get(prefix)
+    // Resolve with the value if found and valid
+    if (value !== undefined) {
+      const result = decodeValue(
+        options,
+        key,
+        fromStored(value, defaultValue),
+        defaultValue,
+      )
+      if (result.valid) return [key, result.value as GM.Value]
+    } else if (setDefaults) {
+      // Set the value if setDefaults argument is passed
+      await backend.set(
+        prefix,
+        encodeValue(options, key, defaultValue, toStored),
+      )
+    }
+
+    // Resolve with the default value
+    return [key, defaultValue]
+  }
+
+  const promises: ReturnType<typeof getWithDefault>[] = []
+
+  for (const [key, value] of Object.entries(defaults) as [Keys, GM.Value][]) {
+    promises.push(getWithDefault(key, value))
+  }
+
+  return Promise.all(promises).then(retrievedValues => {
+    const returnedValues: Partial<ValuesObject<Keys>> = {}
+    for (const [key, value] of retrievedValues) {
+      returnedValues[key] = value
     }
+    return returnedValues as ValuesObject<Keys>
   })
 }
 
@@ -126,6 +295,7 @@ export function getValues<Keys extends string>(
  * Requires the `GM.getValue` and `GM.listValues` grants or falls back to using localStorage.
  * Returns a values object containing every saved value for the UserScript
  *
+ * @param options Other options, such as the storage backend to use
  * @returns A Promise that resolves to the defined values or rejects with nothing.
  * @example
  * ```typescript
@@ -136,23 +306,38 @@ export function getValues<Keys extends string>(
  * }
  * ```
  */
-export async function getAllValues(): Promise<ValuesObject> {
-  const valueNames = await (async () => {
-    // Using localStorage
-    if (!checkGrants('getValue', 'listValues')) return Object.keys(localStorage)
-    // Using GreaseMonkey
-    return GM.listValues()
-  })()
-
-  const defaults = (() => {
-    const emptyDefault: { [key: string]: '' } = {}
-    for (const value of valueNames) emptyDefault[value] = ''
-    return emptyDefault
-  })()
-
-  return getValues(defaults)
+export async function getAllValues(
+  options: ValuesOptions = {},
+): Promise<ValuesObject> {
+  const backend =
+    options.backend ??
+    defaultBackend(
+      'getAllValues',
+      ['getValue', 'listValues'],
+      options.grantPolicy,
+    )
+  const { fromStored } = serialization(backend, options.serializer)
+  const valueNames = await backend.list()
+
+  const allValues: ValuesObject = {}
+  for (const key of valueNames) {
+    const value = await backend.get(key)
+    if (value !== undefined) allValues[key] = fromStored(value)
+  }
+
+  return allValues
 }
 
+/**
+ * Get a Proxy that automatically updates values checked against a schema.
+ * Sets that fail validation are rejected
+ */
+export function valuesProxy<S extends Schema>(
+  values: SchemaValues<S>,
+  id: string | undefined,
+  callback: ((gmSetPromise: Promise<void>) => void) | undefined,
+  options: SchemaOptions<S>,
+): SchemaValues<S>
 /**
  * Requires the `GM.setValue` grant or falls back to using localStorage.
  * Get a Proxy that automatically updates values.
@@ -160,13 +345,15 @@ export async function getAllValues(): Promise<ValuesObject> {
  * and a different one that controls `option3` and `option4`).
  * This is because the returned Proxy doesn't update the value on get, only on set.
  * If multiple Proxies on the same values are being used to set, then a get Proxy
- * (`valuesGetProxy`) to get values might be a good idea
+ * (`valuesGetProxy`) to get values might be a good idea.
+ * To keep values in sync with other tabs, use the `sync` option and `onValuesChange`
  *
  * @param values A values object, such as the one from `getValues`
  * @param id An optional unique identifier for the config. Prefixes all keys with the ID
  * (eg. `foo` -> `myconfig.foo` for id `myconfig`). This **won't** change the names of the keys
  * on the returned object
  * @param callback Called with the Promise returned by `GM.setValue`
+ * @param options Other options, such as the storage backend to use
  * @returns A Proxy from `values` that updates the GM value on set
  * @example
  * ```typescript
@@ -184,32 +371,220 @@ export function valuesProxy<Keys extends string>(
   values: ValuesObject<Keys>,
   id?: string,
   callback?: (gmSetPromise: Promise<void>) => void,
+  options?: ValuesOptions,
+): ValuesObject<Keys>
+/**
+ * Get a Proxy that automatically updates values that include arrays and objects.
+ * Use the `deep` option to also update values when nested objects are modified
+ */
+export function valuesProxy<Values extends Record<string, NestedValue>>(
+  values: Values,
+  id?: string,
+  callback?: (gmSetPromise: Promise<void>) => void,
+  options?: ValuesOptions,
+): Values
+export function valuesProxy<Keys extends string>(
+  values: Record<Keys, any>,
+  id?: string,
+  callback?: (gmSetPromise: Promise<void>) => void,
+  options: ValuesOptions = {},
 ): ValuesObject<Keys> {
-  const grants = checkGrants('setValue')
+  const backend =
+    options.backend ??
+    defaultBackend('valuesProxy', ['setValue'], options.grantPolicy)
+  const { toStored } = serialization(backend, options.serializer)
+
+  const listeners = new Set<ValuesChangeListener<Keys>>()
+
+  const emit = (key: Keys, newValue: any, oldValue: any, remote: boolean) => {
+    for (const listener of listeners) listener(key, newValue, oldValue, remote)
+  }
+
+  /** Store a value with the backend */
+  const store = (key: Keys, value: unknown) => {
+    const gmSetPromise = backend.set(
+      prefixKey(key, id),
+      encodeValue(options, key, value, toStored),
+    )
+    if (callback) callback(gmSetPromise)
+  }
+
+  /** Keys changed in deep mode, which are stored together at the end of the tick */
+  const pending = new Set<Keys>()
+  /**
+   * Keys with nested changes, which are emitted when they're stored,
+   * and their values as JSON from before the changes in case they need to be undone
+   */
+  const nestedChanges = new Map<Keys, string>()
+
+  const flush = () => {
+    for (const key of pending) {
+      const value = values[key]
+
+      const before = nestedChanges.get(key)
+      if (before !== undefined) {
+        // Nested changes can't be rejected individually, so they're checked all at once
+        // and undone together if they fail
+        if (!checkValue(options, key, value).valid) {
+          values[key] = JSON.parse(before)
+          emit(key, values[key], value, false)
+          continue
+        }
+        store(key, value)
+        // The object was modified in place, so the old value is the same object
+        emit(key, value, value, false)
+      } else {
+        store(key, value)
+      }
+    }
+
+    pending.clear()
+    nestedChanges.clear()
+  }
+
+  const schedule = (key: Keys) => {
+    if (!pending.size) queueMicrotask(flush)
+    pending.add(key)
+  }
+
+  /** Proxies for nested objects, and the objects that each Proxy wraps */
+  const nestedProxies = new WeakMap<object, object>()
+  const nestedTargets = new WeakMap<object, object>()
+
+  const unwrap = (value: unknown) =>
+    (typeof value === 'object' && value !== null && nestedTargets.get(value)) ||
+    value
+
+  /** Wrap a nested object or array so that changes to it store the top-level key */
+  const wrap = (value: unknown, key: Keys): unknown => {
+    if (typeof value !== 'object' || value === null) return value
+
+    const existing = nestedProxies.get(value)
+    if (existing) return existing
+
+    const change = <T>(apply: () => T) => {
+      if (!nestedChanges.has(key))
+        nestedChanges.set(key, JSON.stringify(values[key]))
+      schedule(key)
+      return apply()
+    }
+
+    const nestedProxy = new Proxy(value, {
+      get: (target, prop, receiver) =>
+        wrap(Reflect.get(target, prop, receiver), key),
+      set: (target, prop, newValue) =>
+        change(() => Reflect.set(target, prop, unwrap(newValue))),
+      deleteProperty: (target, prop) =>
+        change(() => Reflect.deleteProperty(target, prop)),
+    })
+
+    nestedProxies.set(value, nestedProxy)
+    nestedTargets.set(nestedProxy, value)
+    return nestedProxy
+  }
 
   /** Handle sets to the values object */
   const handler: ProxyHandler<ValuesObject<Keys>> = {
     set(target, prop: Keys, value: GM.Value) {
-      const prefix = prefixKey(prop, id)
-
       if (prop in target) {
-        // Using GreaseMonkey
-        if (grants) {
-          const gmSetPromise = GM.setValue(prefix, value)
-          if (callback) callback(gmSetPromise)
-          // Using localStorage
-        } else {
-          ensureString([value])
-          localStorage.setItem(prefix, value as string)
-        }
+        const result = checkValue(options, prop, unwrap(value))
+        if (!result.valid) return false
 
-        return Reflect.set(target, prop, value)
+        if (options.deep) schedule(prop)
+        else store(prop, result.value)
+
+        const oldValue = target[prop]
+        const set = Reflect.set(target, prop, result.value)
+        emit(prop, result.value, oldValue, false)
+        return set
       }
       return false
     },
   }
 
-  return new Proxy(values, handler)
+  if (options.deep) {
+    handler.get = (target, prop, receiver) => {
+      const value = Reflect.get(target, prop, receiver)
+      return prop in target ? wrap(value, prop as Keys) : value
+    }
+  }
+
+  const { signal } = options
+  if (options.sync && backend.watch && !signal?.aborted) {
+    const { fromStored } = serialization(backend, options.serializer)
+
+    const unwatch = (Object.keys(values) as Keys[]).map(key =>
+      backend.watch!(prefixKey(key, id), (newValue, remote) => {
+        // Local changes are already handled by the set trap
+        if (!remote) return
+
+        const oldValue = values[key]
+        if (newValue === undefined) {
+          delete values[key]
+          return emit(key, undefined, oldValue, true)
+        }
+
+        const result = decodeValue(
+          options,
+          key,
+          fromStored(newValue, oldValue),
+          oldValue,
+        )
+        if (!result.valid) return
+
+        // Update the target directly so that the value isn't stored again
+        values[key] = result.value as GM.Value
+        emit(key, result.value, oldValue, true)
+      }),
+    )
+
+    signal?.addEventListener(
+      'abort',
+      () => unwatch.forEach(stopWatching => stopWatching()),
+      { once: true },
+    )
+  }
+
+  const proxy = new Proxy(values, handler)
+  changeListeners.set(proxy, listeners)
+  return proxy
+}
+
+/**
+ * Listen for changes to a Proxy from `valuesProxy`.
+ * The listener is called for sets to the Proxy, as well as for changes made by other tabs
+ * if the Proxy was created with the `sync` option
+ *
+ * @param values A Proxy from `valuesProxy`
+ * @param listener Called with the key, new value, old value and whether the change was
+ * made by another tab
+ * @returns A function to stop listening
+ * @example
+ * ```typescript
+ * const values = valuesProxy(
+ *   await getValues({
+ *     theme: 'light',
+ *   }),
+ *   undefined,
+ *   undefined,
+ *   { sync: true },
+ * )
+ *
+ * onValuesChange(values, (key, newValue, oldValue, remote) => {
+ *   if (key === 'theme') applyTheme(newValue)
+ * })
+ * ```
+ */
+export function onValuesChange<Values extends Record<string, any>>(
+  values: Values,
+  listener: ValuesChangeListener<keyof Values & string>,
+): () => void {
+  const listeners = changeListeners.get(values)
+  if (!listeners)
+    throw TypeError('onValuesChange can only be used with a valuesProxy')
+
+  listeners.add(listener)
+  return () => listeners.delete(listener)
 }
 
 /**
@@ -223,6 +598,7 @@ export function valuesProxy<Keys extends string>(
  * (eg. `foo` -> `myconfig.foo` for id `myconfig`). This **won't** change the names of the keys
  * on the returned object
  * @param values A values object, such as the one returned from `getValues`
+ * @param options Other options, such as the storage backend to use
  * @returns A Proxy using the keys of `values` that wraps `GM.getValue`
  * @example
  * ```typescript
@@ -240,8 +616,12 @@ export function valuesProxy<Keys extends string>(
 export function valuesGetProxy<Keys extends string>(
   values: ValuesObject<Keys>,
   id?: string,
+  options: ValuesOptions = {},
 ): ValuesPromiseObject<Keys> {
-  const grants = checkGrants('getValue')
+  const backend =
+    options.backend ??
+    defaultBackend('valuesGetProxy', ['getValue'], options.grantPolicy)
+  const { fromStored } = serialization(backend, options.serializer)
 
   /** Handle gets to the values object */
   const handler: ProxyHandler<ValuesObject<Keys>> = {
@@ -251,19 +631,19 @@ export function valuesGetProxy<Keys extends string>(
 
         // Check if the property is a part of the passed values
         if (prop in target) {
-          // Using GreaseMonkey
-          if (grants) {
-            GM.getValue(prefix).then(value => {
-              // Resolve with the value if it's defined
-              if (value !== undefined) resolve(value)
-              else reject()
-            })
-            // Using localStorage
-          } else {
-            const value = localStorage.getItem(prefix)
-            if (value !== null) resolve(value)
+          backend.get(prefix).then(value => {
+            if (value === undefined) return reject()
+
+            // Resolve with the value if it's defined and valid
+            const result = decodeValue(
+              options,
+              prop,
+              fromStored(value, target[prop]),
+              target[prop],
+            )
+            if (result.valid) resolve(result.value as GM.Value)
             else reject()
-          }
+          }, reject)
         } else {
           reject()
         }
@@ -290,26 +670,101 @@ export function valuesGetProxy<Keys extends string>(
  * @param id An optional unique identifier for the config. Prefixes all keys with the ID
  * (eg. `foo` -> `myconfig.foo` for id `myconfig`). This **won't** change the names of the keys
  * on the returned object
+ * @param options Other options, such as the storage backend to use
  * @returns A Promise that resolves with a new object without the deleted type,
- * or rejects with nothing if the deletion failed
+ * or rejects if the deletion failed or with a `TypeError` if the key isn't in the values object
  */
-export function deleteValue<Keys extends string, ToDelete extends Keys>(
+export async function deleteValue<Keys extends string, ToDelete extends Keys>(
   values: ValuesObject<Keys>,
   toDelete: ToDelete,
   id?: string,
+  options: ValuesOptions = {},
 ): Promise<Omit<ValuesObject<Keys>, ToDelete>> {
-  return new Promise(async (resolve, reject) => {
-    const prefix = prefixKey(toDelete, id)
+  if (!(toDelete in values))
+    throw TypeError(`${toDelete} isn't in the values object`)
 
-    if (toDelete in values) {
-      // Using GreaseMonkey
-      if (checkGrants('deleteValue')) await GM.deleteValue(prefix)
-      // Using localStorage
-      else localStorage.removeItem(prefix)
+  const backend =
+    options.backend ??
+    defaultBackend('deleteValue', ['deleteValue'], options.grantPolicy)
+  await backend.delete(prefixKey(toDelete, id))
 
-      delete values[toDelete]
-      resolve(values)
-    }
-    reject()
-  })
+  delete values[toDelete]
+  return values
+}
+
+/**
+ * Requires the `GM.getValue`, `GM.setValue` and `GM.deleteValue` grants
+ * or falls back to localStorage.
+ * Update a value so that changes made by other tabs at the same time aren't lost.
+ * The value is read, updated and stored while holding a lock for the key.
+ * The lock is best-effort, so this is too, and changes can still be lost in rare cases
+ *
+ * @see {@link withLock}
+ * @param key The key of the value
+ * @param update Called with the current value, or the default if nothing is stored.
+ * Returns the new value, or `undefined` to delete it
+ * @param id An optional unique identifier for the config. Prefixes the key with the ID
+ * (eg. `foo` -> `myconfig.foo` for id `myconfig`)
+ * @param options Other options, such as the default value and the lock timeout
+ * @returns A Promise that resolves with the new value,
+ * or rejects with a `LockTimeoutError` if the lock isn't acquired in time
+ * or a `TypeError` if the new value fails validation against the schema
+ * @example
+ * ```typescript
+ * const visits = await updateValue<number>('visits', visits => visits! + 1, 'myconfig', {
+ *   default: 0,
+ * })
+ * ```
+ */
+export async function updateValue<T extends NestedValue>(
+  key: string,
+  update: (value: T | undefined) => T | undefined | Promise<T | undefined>,
+  id?: string,
+  options: UpdateValueOptions<T> = {},
+): Promise<T | undefined> {
+  const backend =
+    options.backend ??
+    defaultBackend(
+      'updateValue',
+      ['getValue', 'setValue', 'deleteValue'],
+      options.grantPolicy,
+    )
+  const { toStored, fromStored } = serialization(backend, options.serializer)
+  const prefix = prefixKey(key, id)
+
+  return withLock(
+    prefix,
+    async () => {
+      let value = options.default
+      const stored = await backend.get(prefix)
+
+      if (stored !== undefined) {
+        const expected = options.default as GM.Value | undefined
+        const result = decodeValue(
+          options,
+          key,
+          fromStored(stored, expected),
+          expected,
+        )
+        if (result.valid) value = result.value as T
+      }
+
+      const newValue = await update(value)
+      if (newValue === undefined) {
+        await backend.delete(prefix)
+        return undefined
+      }
+
+      const result = checkValue(options, key, newValue)
+      if (!result.valid)
+        throw TypeError(`Invalid value for ${key}: ${result.reason}`)
+
+      await backend.set(
+        prefix,
+        encodeValue(options, key, result.value, toStored),
+      )
+      return result.value as T
+    },
+    { ...options, backend },
+  )
 }
@@ -0,0 +1,225 @@
+import { readFileSync } from 'fs'
+import { resolve } from 'path'
+import type { Chunk, Compilation, Compiler, Module } from 'webpack'
+import { inferGrants } from './analyze'
+import { genBanner, MetadataObject } from './banner'
+
+export interface UserScriptPluginOptions {
+  /**
+   * Path to the package.json to read metadata from, relative to the webpack context.
+   * Defaults to `'package.json'`. Pass `false` to skip reading package.json
+   */
+  packageJson?: string | false
+  /** Metadata for every entry. Overrides values from package.json */
+  metadata?: MetadataObject
+  /**
+   * Metadata for specific entries, keyed by entry name.
+   * Overrides values from package.json and `metadata`
+   */
+  entries?: Record<string, MetadataObject>
+  /** Passed to `genBanner` */
+  spacing?: number
+  /** Passed to `genBanner` */
+  start?: string
+  /** Passed to `genBanner` */
+  end?: string
+  /** Passed to `genBanner`. Fails the build if the metadata is invalid */
+  strict?: boolean
+  /**
+   * Whether or not to add the `@grant` and `@connect` values needed by each entry
+   * using `inferGrants`. Only the entry's own modules are scanned, not GreaseTools' modules.
+   * Values that are declared but never used are reported as warnings
+   */
+  inferGrants?: boolean
+}
+
+/** The package.json fields used to generate metadata */
+interface PackageJson {
+  name?: string
+  description?: string
+  version?: string
+  author?: string | { name?: string }
+  license?: string
+  homepage?: string
+}
+
+/**
+ * Get metadata from the fields in a package.json
+ *
+ * @param path The path to the package.json
+ * @returns A metadata object with the name, description, version, author,
+ * license and homepage of the package
+ */
+export function packageMetadata(path: string): MetadataObject {
+  const packageJson: PackageJson = JSON.parse(readFileSync(path, 'utf-8'))
+
+  return {
+    name: packageJson.name,
+    description: packageJson.description,
+    version: packageJson.version,
+    author:
+      typeof packageJson.author === 'object'
+        ? packageJson.author.name
+        : packageJson.author,
+    license: packageJson.license,
+    homepageURL: packageJson.homepage,
+  }
+}
+
+/** The name of this package, whose modules are skipped when inferring grants */
+const packageName = 'greasetools'
+
+/**
+ * Get the source of every module in some chunks, except for GreaseTools' own modules.
+ * Only the sources of the script's modules are scanned,
+ * since the library refers to every grant that it can use
+ *
+ * @param compilation The compilation that the chunks are from
+ * @param chunks The chunks to get the modules of
+ * @returns The sources of the modules
+ */
+function moduleSources(
+  compilation: Compilation,
+  chunks: Iterable<Chunk>,
+): string[] {
+  const seen = new Set<Module>()
+  const sources: string[] = []
+
+  const add = (module: Module) => {
+    if (seen.has(module)) return
+    seen.add(module)
+
+    // Concatenated modules contain the modules that were merged into them
+    const inner = (module as Module & { modules?: Iterable<Module> }).modules
+    if (inner) {
+      for (const innerModule of inner) add(innerModule)
+      return
+    }
+
+    const { resourceResolveData } = module as Module & {
+      resourceResolveData?: Record<string, any>
+    }
+    if (resourceResolveData?.descriptionFileData?.name === packageName) return
+
+    const source = module.originalSource()?.source()
+    if (source) sources.push(source.toString())
+  }
+
+  for (const chunk of chunks)
+    for (const module of compilation.chunkGraph.getChunkModulesIterable(chunk))
+      add(module)
+
+  return sources
+}
+
+/**
+ * A webpack plugin that adds a UserScript header to the output of each entry.
+ * Metadata is read from package.json and merged with the metadata passed in the options.
+ * The header is added after minification, so it is kept without any extra Terser configuration
+ *
+ * @example
+ * ```javascript
+ * // webpack.config.js
+ * const { UserScriptPlugin } = require('greasetools/lib/webpack')
+ *
+ * module.exports = {
+ *   entry: {
+ *     main: './src/main.js',
+ *     settings: './src/settings.js',
+ *   },
+ *   plugins: [
+ *     new UserScriptPlugin({
+ *       metadata: {
+ *         namespace: 'https://example.com',
+ *         match: 'https://example.com/*',
+ *       },
+ *       entries: {
+ *         settings: { name: 'Example Settings' },
+ *       },
+ *     }),
+ *   ],
+ * }
+ * ```
+ */
+export class UserScriptPlugin {
+  constructor(private readonly options: UserScriptPluginOptions = {}) {}
+
+  /**
+   * Get the metadata for an entry
+   *
+   * @param context The webpack context, used to resolve the package.json path
+   * @param entry The name of the entry
+   * @returns The merged metadata for the entry
+   */
+  getMetadata(context: string, entry: string): MetadataObject {
+    const { packageJson = 'package.json', metadata, entries } = this.options
+
+    return {
+      ...(packageJson ? packageMetadata(resolve(context, packageJson)) : {}),
+      ...metadata,
+      ...entries?.[entry],
+    }
+  }
+
+  apply(compiler: Compiler) {
+    const pluginName = this.constructor.name
+    const { Compilation, sources, WebpackError } = compiler.webpack
+    const { spacing, start, end, strict } = this.options
+
+    compiler.hooks.thisCompilation.tap(pluginName, compilation => {
+      /** Banners to add to each file */
+      const banners = new Map<string, string>()
+
+      compilation.hooks.processAssets.tap(
+        {
+          name: pluginName,
+          // Work out the banners before minification and add them afterwards
+          stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE,
+        },
+        () => {
+          for (const [entry, entrypoint] of compilation.entrypoints) {
+            const files = [...entrypoint.getEntrypointChunk().files].filter(
+              file => /\.[cm]?js$/.test(file),
+            )
+            let metadata = this.getMetadata(compiler.context, entry)
+
+            if (this.options.inferGrants) {
+              const code = moduleSources(compilation, entrypoint.chunks).join(
+                '\n',
+              )
+              const inferred = inferGrants(code, metadata)
+
+              metadata = inferred.metadata
+              for (const { message, value } of inferred.warnings)
+                compilation.warnings.push(
+                  new WebpackError(
+                    `${pluginName}: ${message} in entry ${entry} (${value})`,
+                  ),
+                )
+            }
+
+            const banner = genBanner(metadata, spacing, start, end, strict)
+            for (const file of files) banners.set(file, banner)
+          }
+        },
+      )
+
+      compilation.hooks.processAssets.tap(
+        {
+          name: pluginName,
+          // Run after minification but before source maps are generated
+          stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE + 1,
+        },
+        () => {
+          for (const [file, banner] of banners) {
+            compilation.updateAsset(
+              file,
+              (old: Compilation['assets'][string]) =>
+                new sources.ConcatSource(banner, '\n', old),
+            )
+          }
+        },
+      )
+    })
+  }
+}
@@ -1,11 +1,218 @@
-import { checkGrants } from '.'
+import { gmApi } from './compat'
+import { requireGrants } from './grants'
+
+export interface XhrOptions {
+  /** A signal to abort the request with */
+  signal?: AbortSignal
+  /** How long to wait for the request before failing with an `XhrTimeoutError`, in milliseconds */
+  timeout?: number
+  /**
+   * How many times to retry after a network error, a timeout, or a status in `retryOn`.
+   * Defaults to 0
+   */
+  retries?: number
+  /** Statuses to retry the request for (eg. `[429, 503]`). Defaults to none */
+  retryOn?: readonly number[]
+  /**
+   * The delay before the first retry, in milliseconds. Each retry waits twice as long
+   * as the last, with random jitter. Defaults to 500
+   */
+  retryDelay?: number
+  /** Called when more of the response has been downloaded */
+  onProgress?: XhrProgressCallback
+  /** Called when more of the request body has been uploaded */
+  onUploadProgress?: XhrProgressCallback
+}
+
+export interface XhrProgress {
+  /** The number of bytes transferred so far */
+  loaded: number
+  /** The total number of bytes, or `undefined` if it isn't known */
+  total?: number
+  /** The Greasemonkey Response object passed to the progress handler */
+  response: GM.ProgressResponse<any>
+}
+
+/** Called when a request makes progress */
+export type XhrProgressCallback = (progress: XhrProgress) => void
+
+/** A response whose body can be read in chunks as it downloads */
+export interface XhrStreamResponse {
+  /** The Greasemonkey Response object, with the status and headers */
+  response: GM.Response<any>
+  /**
+   * Whether or not the body is being streamed.
+   * If the manager doesn't support streaming, the body is read as one chunk once it's downloaded
+   */
+  streamed: boolean
+  /** The chunks of the body */
+  body: AsyncIterable<Uint8Array>
+}
+
+/** Why a request failed */
+export type XhrFailure = 'network' | 'timeout' | 'abort'
+
+/** Thrown when a request fails. Use the subclasses to check for specific failures */
+export class XhrError extends Error {
+  /** The status of the response, which is usually 0 */
+  public readonly status: number
+  /** The URL of the request after redirects */
+  public readonly finalUrl: string
+
+  constructor(
+    /** Why the request failed */
+    public readonly reason: XhrFailure,
+    /** The URL of the request */
+    public readonly url: string,
+    /** The Greasemonkey Response object passed to the event handler, if any */
+    public readonly response?: GM.Response<any>,
+  ) {
+    super(`XHR to ${url} failed: ${reason}`)
+    this.name = 'XhrError'
+    this.status = response?.status ?? 0
+    this.finalUrl = response?.finalUrl || url
+  }
+}
+
+/** Thrown when a request fails because of a network error */
+export class XhrNetworkError extends XhrError {
+  constructor(url: string, response?: GM.Response<any>) {
+    super('network', url, response)
+    this.name = 'XhrNetworkError'
+  }
+}
+
+/** Thrown when a request times out */
+export class XhrTimeoutError extends XhrError {
+  constructor(url: string, response?: GM.Response<any>) {
+    super('timeout', url, response)
+    this.name = 'XhrTimeoutError'
+  }
+}
+
+/** Thrown when a request is aborted */
+export class XhrAbortError extends XhrError {
+  constructor(url: string, response?: GM.Response<any>) {
+    super('abort', url, response)
+    this.name = 'XhrAbortError'
+  }
+}
+
+/** Wait for the delay before a retry, rejecting if the signal is aborted */
+const backoff = (ms: number, url: string, signal?: AbortSignal) =>
+  new Promise<void>((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(new XhrAbortError(url))
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+
+/** Convert a GM.ProgressResponse to the object passed to progress callbacks */
+const toProgress = (response: GM.ProgressResponse<any>): XhrProgress => ({
+  loaded: response.loaded,
+  total: response.lengthComputable ? response.total : undefined,
+  response,
+})
+
+/** Make a single request, settling once it loads, fails, times out or is aborted */
+function send<Request extends GM.Request>(
+  xhrInfo: Request,
+  options: XhrOptions,
+): Promise<GM.Response<Request>> {
+  const { signal, timeout, onProgress, onUploadProgress } = options
+
+  return new Promise((resolve, reject) => {
+    // There's nothing to fall back to, so a missing grant always rejects with a
+    // MissingGrantError naming the line to add
+    requireGrants('xhrPromise', ['xmlHttpRequest'], 'throw')
+    if (signal?.aborted) return reject(new XhrAbortError(xhrInfo.url))
+
+    let settled = false
+    let timer: ReturnType<typeof setTimeout> | undefined
+
+    const settle = (settleWith: () => void) => {
+      if (settled) return
+      settled = true
+      if (timer) clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+      settleWith()
+    }
+
+    const fail =
+      (
+        ErrorClass: new (url: string, response?: GM.Response<any>) => XhrError,
+      ) =>
+      (response?: GM.Response<any>) =>
+        settle(() => reject(new ErrorClass(xhrInfo.url, response)))
+
+    // The handlers passed by the caller are still called
+    const handle = gmApi().xmlHttpRequest!({
+      ...xhrInfo,
+      timeout: timeout ?? xhrInfo.timeout,
+      onload(response) {
+        xhrInfo.onload?.(response)
+        settle(() => resolve(response as GM.Response<Request>))
+      },
+      onerror(response) {
+        xhrInfo.onerror?.(response)
+        fail(XhrNetworkError)(response)
+      },
+      ontimeout(response) {
+        xhrInfo.ontimeout?.(response)
+        fail(XhrTimeoutError)(response)
+      },
+      onabort(response) {
+        xhrInfo.onabort?.(response)
+        fail(XhrAbortError)(response)
+      },
+      onprogress(response) {
+        xhrInfo.onprogress?.(response)
+        onProgress?.(toProgress(response))
+      },
+      upload: onUploadProgress
+        ? {
+            ...xhrInfo.upload,
+            onprogress(response) {
+              xhrInfo.upload?.onprogress?.(response)
+              onUploadProgress(toProgress(response))
+            },
+          }
+        : xhrInfo.upload,
+    })
+
+    // Most managers return a handle that can abort the request
+    const abort = () => handle?.abort?.()
+
+    function onAbort() {
+      abort()
+      fail(XhrAbortError)()
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    if (timeout) {
+      timer = setTimeout(() => {
+        abort()
+        fail(XhrTimeoutError)()
+      }, timeout)
+    }
+  })
+}
 
 /**
  * Make a request with GM.xmlHttpRequest using Promises.
  * Requires the GM.xmlHttpRequest grant
  *
  * @param xhrInfo The XHR info
- * @returns A Promise that resolves with the Greasemonkey Response object
+ * @param options Other options, such as a signal to abort the request and retries
+ * @returns A Promise that resolves with the Greasemonkey Response object,
+ * or rejects with an `XhrError` if the request fails, times out or is aborted,
+ * or a `MissingGrantError` if the grant is missing.
+ * The Promise resolves for every status, including after the last retry
  * @see {@link https://wiki.greasespot.net/GM.xmlHttpRequest}
  *
  * @example
@@ -15,25 +222,130 @@ import { checkGrants } from '.'
  *   method: 'GET',
  *   url: 'https://example.com',
  * })
+ *
+ * // Show the download progress
+ * await xhrPromise(
+ *   { method: 'GET', url: 'https://example.com/large.zip' },
+ *   { onProgress: ({ loaded, total }) => console.log(`${loaded} / ${total}`) },
+ * )
+ *
+ * // Retry up to 3 times on network errors, timeouts and 503 responses
+ * const controller = new AbortController()
+ * const retried = await xhrPromise(
+ *   { method: 'GET', url: 'https://example.com' },
+ *   { signal: controller.signal, timeout: 5000, retries: 3, retryOn: [503] },
+ * )
  * ```
  */
-export function xhrPromise<Request extends GM.Request = GM.Request>(
+export async function xhrPromise<Request extends GM.Request = GM.Request>(
   xhrInfo: Request,
+  options: XhrOptions = {},
 ): Promise<GM.Response<Request>> {
+  const { retries = 0, retryOn = [], retryDelay = 500, signal } = options
+
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < retries
+
+    try {
+      const response = await send(xhrInfo, options)
+      if (!canRetry || !retryOn.includes(response.status)) return response
+    } catch (err) {
+      const retryable =
+        err instanceof XhrNetworkError || err instanceof XhrTimeoutError
+      if (!canRetry || !retryable) throw err
+    }
+
+    // Exponential backoff with jitter so that retries from many tabs are spread out
+    await backoff(
+      retryDelay * 2 ** attempt * (0.5 + Math.random() / 2),
+      xhrInfo.url,
+      signal,
+    )
+  }
+}
+
+/** Read the chunks of a ReadableStream */
+async function* readStream(stream: ReadableStream<Uint8Array>) {
+  const reader = stream.getReader()
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) return
+      if (value) yield value
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+/**
+ * Make a request with GM.xmlHttpRequest and read the response body in chunks as it downloads,
+ * so that large responses can be processed without waiting for the whole body.
+ * Requires the GM.xmlHttpRequest grant.
+ * Uses `responseType: 'stream'` with managers that support it, such as Tampermonkey.
+ * Other managers download the whole body before it's read as one chunk.
+ * Requests aren't retried, since part of the body may have already been read
+ *
+ * @param xhrInfo The XHR info
+ * @param options Other options, such as a signal to abort the request
+ * @returns A Promise that resolves once the body can be read,
+ * or rejects with an `XhrError` if the request fails before then
+ * @see {@link xhrPromise}
+ *
+ * @example
+ * ```typescript
+ * const { response, body } = await xhrStream({
+ *   method: 'GET',
+ *   url: 'https://example.com/large.ndjson',
+ * })
+ *
+ * const decoder = new TextDecoder()
+ * for await (const chunk of body) console.log(decoder.decode(chunk, { stream: true }))
+ * ```
+ */
+export function xhrStream(
+  xhrInfo: GM.Request,
+  options: Omit<XhrOptions, 'retries' | 'retryOn' | 'retryDelay'> = {},
+): Promise<XhrStreamResponse> {
   return new Promise((resolve, reject) => {
-    let lastState = XMLHttpRequest.UNSENT
-
-    if (checkGrants('xmlHttpRequest')) {
-      GM.xmlHttpRequest({
-        ...xhrInfo,
-        onreadystatechange: response => {
-          if (response.readyState === XMLHttpRequest.DONE) {
-            if (lastState < 3) reject(new Error('XHR failed'))
-            else resolve(response)
-          }
-          lastState = response.readyState
-        },
-      })
-    } else reject(new Error('Missing grant GM.xmlHttpRequest'))
+    let started = false
+
+    const request = {
+      ...xhrInfo,
+      responseType: 'stream',
+      // Managers that support streaming pass the stream once the headers have arrived
+      onloadstart(response: GM.Response<any>) {
+        ;(
+          xhrInfo as { onloadstart?(response: GM.Response<any>): void }
+        ).onloadstart?.(response)
+
+        const body = response.response
+        if (body && typeof body.getReader === 'function') {
+          started = true
+          resolve({ response, streamed: true, body: readStream(body) })
+        }
+      },
+    } as GM.Request
+
+    xhrPromise(request, options).then(
+      response => {
+        if (started) return
+        const body =
+          response.response instanceof ArrayBuffer
+            ? new Uint8Array(response.response)
+            : new TextEncoder().encode(response.responseText ?? '')
+
+        resolve({
+          response,
+          streamed: false,
+          body: (async function* () {
+            yield body
+          })(),
+        })
+      },
+      err => {
+        if (!started) reject(err)
+      },
+    )
   })
 }
@@ -1,19 +1,8 @@
-const genBanner = require('.').genBanner
 const path = require('path')
 const TerserPlugin = require('terser-webpack-plugin')
-const webpack = require('webpack')
+const { UserScriptPlugin } = require('./lib/webpack')
 const package = require('./package.json')
 
-/** The UserScript info to add to the top of the outputted file */
-const banner = genBanner({
-  name: package.name,
-  description: package.description,
-  version: package.version,
-  author: package.author,
-  license: package.license,
-  homepageURL: package.homepage,
-})
-
 /** The name of the generated UserScript file, excluding the .user.js suffix */
 const outFile = package.name
 
@@ -27,30 +16,9 @@ module.exports = (_, argv) => ({
     library: 'GreaseTools',
     libraryTarget: 'window',
   },
-  plugins: [
-    new webpack.BannerPlugin({
-      banner,
-      raw: true,
-      entryOnly: true,
-    }),
-  ],
+  plugins: [new UserScriptPlugin()],
   optimization: {
-    minimizer: [
-      new TerserPlugin({
-        extractComments: false,
-        terserOptions: {
-          format: {
-            comments(_, comment) {
-              const userScriptComment = /==\/?UserScript==|@/g
-              return (
-                comment.type === 'comment1' &&
-                userScriptComment.exec(comment.value)
-              )
-            },
-          },
-        },
-      }),
-    ],
+    minimizer: [new TerserPlugin({ extractComments: false })],
   },
   mode: 'development',
   devtool: false,